@@ -0,0 +1,206 @@
+/**
+ * Accessibility tree snapshots: what assistive technology gets from a page
+ */
+import { browserPool } from './browser-pool.js';
+import config from './config.js';
+import logger from './logger.js';
+import { openHtml, openPage } from './page-loader.js';
+
+// Roles users operate; without an accessible name they are announced by role only
+const INTERACTIVE_ROLES = new Set([
+  'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'switch', 'combobox', 'listbox',
+  'option', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'slider', 'spinbutton', 'treeitem'
+]);
+
+// Boolean properties shown as states when true
+const FLAG_STATES = ['disabled', 'focused', 'modal', 'multiline', 'multiselectable', 'readonly', 'required', 'selected', 'busy', 'atomic'];
+
+/**
+ * States of a node as short labels, e.g. ["level 2", "expanded", "required"]
+ * @param {Object} node - Puppeteer SerializedAXNode
+ * @returns {string[]} State labels
+ */
+function describeStates(node) {
+  const states = [];
+
+  if (node.level) {
+    states.push(`level ${node.level}`);
+  }
+  if (node.checked !== undefined) {
+    states.push(node.checked === 'mixed' ? 'mixed' : node.checked ? 'checked' : 'not checked');
+  }
+  if (node.pressed !== undefined) {
+    states.push(node.pressed === 'mixed' ? 'mixed' : node.pressed ? 'pressed' : 'not pressed');
+  }
+  if (node.expanded !== undefined) {
+    states.push(node.expanded ? 'expanded' : 'collapsed');
+  }
+  for (const flag of FLAG_STATES) {
+    if (node[flag]) {
+      states.push(flag);
+    }
+  }
+  if (node.invalid && node.invalid !== 'false') {
+    states.push(node.invalid === 'true' ? 'invalid' : `invalid=${node.invalid}`);
+  }
+  for (const property of ['haspopup', 'autocomplete', 'orientation', 'live']) {
+    if (node[property] && node[property] !== 'false') {
+      states.push(`${property}=${node[property]}`);
+    }
+  }
+  if (node.valuemin !== undefined || node.valuemax !== undefined) {
+    states.push(`range ${node.valuemin ?? ''}–${node.valuemax ?? ''}`);
+  }
+
+  return states;
+}
+
+export class AccessibilityTreeInspector {
+  /**
+   * @param {Object} [options] - Snapshot options
+   * @param {AuthSession} [options.session] - Authenticated session applied to the page
+   * @param {boolean} [options.interestingOnly=true] - Leave out nodes assistive technology ignores
+   * @param {number} [options.maxNodes] - Nodes in the outline before it is cut
+   */
+  constructor(options = {}) {
+    this.lease = null;
+    this.browser = null;
+    this.context = null;
+    this.session = options.session || null;
+    this.interestingOnly = options.interestingOnly ?? true;
+    this.maxNodes = options.maxNodes || config.accessibilityTreeMaxNodes;
+  }
+
+  /**
+   * Lease an incognito context on a shared browser
+   */
+  async init() {
+    if (!this.lease) {
+      this.lease = await browserPool.acquire();
+      this.browser = this.lease.browser;
+      this.context = this.lease.context;
+    }
+  }
+
+  /**
+   * Take an accessibility tree snapshot of a URL or an HTML document
+   * @param {Object} source - { url } or { html }
+   * @param {string} [selector] - Only the subtree of this element
+   * @returns {Promise<Object>} { source, pageTitle, outline, nodes, truncated, unnamed, timestamp }
+   */
+  async snapshot(source, selector) {
+    await this.init();
+    logger.info(`Accessibility tree: ${source.url || 'HTML snippet'}${selector ? ` (${selector})` : ''}`);
+
+    const page = source.url
+      ? await openPage(this.context, source.url, { session: this.session })
+      : await openHtml(this.context, source.html);
+    try {
+      let root;
+      if (selector) {
+        root = await page.$(selector);
+        if (!root) {
+          throw new Error(`No element matches selector "${selector}"`);
+        }
+      }
+
+      const tree = await page.accessibility.snapshot({
+        interestingOnly: this.interestingOnly,
+        includeIframes: true,
+        ...(root ? { root } : {})
+      });
+      if (!tree) {
+        throw new Error(selector
+          ? `"${selector}" is not in the accessibility tree (hidden or presentational)`
+          : 'The page has no accessibility tree');
+      }
+
+      const result = this._outline(tree);
+      logger.info(`Accessibility tree: ${result.nodes} nodes${result.truncated ? ` (cut at ${this.maxNodes})` : ''}`);
+
+      return {
+        source: source.url || 'HTML',
+        pageTitle: await page.title(),
+        ...result,
+        timestamp: new Date().toISOString()
+      };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Render the tree as an indented outline, one node per line:
+   *   - heading "Welcome" [level 1]
+   * Text nodes that only repeat their parent's name are left out.
+   * @private
+   */
+  _outline(tree) {
+    const lines = [];
+    const unnamed = [];
+    let nodes = 0;
+    let truncated = false;
+
+    const visit = (node, depth, parentName) => {
+      if (nodes >= this.maxNodes) {
+        truncated = true;
+        return;
+      }
+
+      const name = this._redact((node.name || '').replace(/\s+/g, ' ').trim());
+      const skip = node.role === 'StaticText' && name === parentName;
+      if (!skip) {
+        nodes++;
+        const states = describeStates(node);
+        const value = node.valuetext || node.value;
+        let line = `${'  '.repeat(depth)}- ${node.role}`;
+        if (name) {
+          line += ` "${name}"`;
+        }
+        if (states.length > 0) {
+          line += ` [${states.join(', ')}]`;
+        }
+        if (value !== undefined && value !== '' && String(value) !== name) {
+          line += ` = "${this._redact(String(value))}"`;
+        }
+        if (node.description) {
+          line += ` — ${this._redact(node.description)}`;
+        }
+        lines.push(line);
+
+        if (INTERACTIVE_ROLES.has(node.role) && !name) {
+          unnamed.push(node.role);
+        }
+      }
+
+      for (const child of node.children || []) {
+        visit(child, skip ? depth : depth + 1, name);
+      }
+    };
+
+    visit(tree, 0, null);
+    return { outline: lines.join('\n'), nodes, truncated, unnamed };
+  }
+
+  /**
+   * Keep session secrets (e.g. prefilled user data) out of reports
+   * @private
+   */
+  _redact(text) {
+    return this.session ? this.session.redact(text) : text;
+  }
+
+  /**
+   * Close the context and return the browser to the pool
+   */
+  async close() {
+    if (this.lease) {
+      await this.lease.release();
+      this.lease = null;
+      this.browser = null;
+      this.context = null;
+    }
+  }
+}
+
+export default AccessibilityTreeInspector;
@@ -2,24 +2,54 @@
  * WCAG Analyzer using pa11y
  */
 import pa11y from 'pa11y';
-import puppeteer from 'puppeteer';
+import { browserPool } from './browser-pool.js';
+import { normalizeChecks, runChecks } from './checks/index.js';
 import config from './config.js';
+import { Semaphore, mapConcurrent } from './concurrency.js';
+import { analyzeEmbedded } from './embedded.js';
+import { getImpact, compareImpact } from './impact.js';
 import logger from './logger.js';
+import { loadPage } from './page-loader.js';
+import { normalizeRunners, mergeRunnerIssues } from './runners.js';
+import ScreenshotCapture from './screenshots.js';
+import { normalizeViewports, toPuppeteerViewport } from './viewports.js';
 
 export class WCAGAnalyzer {
-  constructor(standard = 'WCAG2AA') {
+  /**
+   * @param {string} standard - WCAG standard (WCAG2A, WCAG2AA, WCAG2AAA)
+   * @param {Object} [options] - Analyzer options
+   * @param {AuthSession} [options.session] - Authenticated session applied to every page
+   * @param {string[]} [options.runners] - pa11y runners: 'htmlcs', 'axe' or both
+   * @param {boolean} [options.screenshots=false] - Capture full-page and per-issue screenshots
+   * @param {Array<string|Object>} [options.viewports] - Viewport profiles; each page is analyzed once per profile
+   * @param {string[]} [options.checks] - Browser checks run after pa11y, e.g. 'reflow', 'text-spacing' ([] for none)
+   * @param {Object[]} [options.plugins] - Rule plugins (from loadPlugins) run after the browser checks
+   * @param {SuppressionList} [options.suppressions] - Issues left out of counts and listed separately
+   * @param {Object} [options.ready] - Extra conditions before a page counts as loaded: { selectors, expressions }
+   */
+  constructor(standard = 'WCAG2AA', options = {}) {
+    this.lease = null;
     this.browser = null;
+    this.context = null;
     this.standard = standard;
+    this.session = options.session || null;
+    this.runners = normalizeRunners(options.runners || config.pa11yConfig.runners);
+    this.screenshots = options.screenshots ? new ScreenshotCapture() : null;
+    this.viewports = options.viewports?.length ? normalizeViewports(options.viewports) : null;
+    this.checks = normalizeChecks(options.checks || config.checks);
+    this.plugins = options.plugins || [];
+    this.suppressions = options.suppressions || null;
+    this.ready = options.ready || {};
   }
 
   /**
-   * Initialize browser instance
+   * Lease an incognito context on a shared browser
    */
   async init() {
-    if (!this.browser) {
-      logger.info('Launching Puppeteer browser...');
-      this.browser = await puppeteer.launch(config.pa11yConfig.chromeLaunchConfig);
-      logger.info('Browser launched successfully');
+    if (!this.lease) {
+      this.lease = await browserPool.acquire();
+      this.browser = this.lease.browser;
+      this.context = this.lease.context;
     }
   }
 
@@ -35,17 +65,97 @@ export class WCAGAnalyzer {
       logger.info(`Analyzing page: ${url}`);
       logger.info(`Timestamp: ${new Date().toISOString()}`);
 
-      // Add cache-busting parameter
-      const cacheBustUrl = this._addCacheBuster(url);
-      logger.debug(`Cache-bust URL: ${cacheBustUrl}`);
+      // One pass per viewport profile, or a single pass at the configured viewport
+      const views = [];
+      for (const viewport of this.viewports || [null]) {
+        views.push(await this._analyzeView(url, viewport));
+      }
+      const allIssues = this.viewports ? this._mergeViewports(views) : views[0].issues;
+
+      // Criteria above the standard (2.5.5 with WCAG2AA) are reported for information, not as issues
+      const viewIssues = allIssues.filter(issue => !issue.aboveStandard);
+      const informational = allIssues.filter(issue => issue.aboveStandard);
+
+      // Suppressed issues are kept apart before grouping so they affect neither counts nor messages
+      const { kept: issues, suppressed } = this.suppressions
+        ? this.suppressions.apply(viewIssues, url)
+        : { kept: viewIssues, suppressed: [] };
+      if (suppressed.length > 0) {
+        logger.info(`Suppressed ${suppressed.length} issues on ${url}`);
+      }
+
+      // Group issues by type to avoid duplicates
+      const groupedIssues = this._groupIssuesByType(issues);
+
+      logger.info(`Analysis complete: ${groupedIssues.length} unique issue types found`);
+      
+      const screenshots = views.map(view => view.screenshot).filter(Boolean);
+
+      // Frames are the same in every viewport unless the layout swaps embeds
+      const untestedFrames = [...new Map(views.flatMap(view => view.untestedFrames)
+        .map(frame => [frame.selector, frame])).values()];
+
+      // The slowest viewport decides how long the page took to settle
+      const settle = {
+        strategy: views[0].settle.strategy,
+        time: Math.max(...views.map(view => view.settle.time)),
+        timedOut: views.some(view => view.settle.timedOut),
+        pending: [...new Set(views.flatMap(view => view.settle.pending))]
+      };
+      
+      return {
+        url,
+        pageTitle: views[0].pageTitle,
+        issues: groupedIssues,
+        totalIssues: issues.length,
+        ...(suppressed.length > 0 ? { suppressed } : {}),
+        ...(informational.length > 0 ? { informational: this._groupIssuesByType(informational) } : {}),
+        settle,
+        ...(untestedFrames.length > 0 ? { untestedFrames } : {}),
+        runners: this.runners,
+        checks: this.checks.map(check => check.id),
+        ...(this.plugins.length > 0 ? { plugins: this.plugins.map(plugin => plugin.id) } : {}),
+        ...(this.viewports ? { viewports: this.viewports.map(viewport => viewport.name) } : {}),
+        ...(screenshots.length > 0 ? { screenshots } : {}),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error(`Analysis failed for ${url}: ${error.message}`);
+      throw new Error(`Failed to analyze ${url}: ${error.message}`);
+    }
+  }
 
-      // Run pa11y analysis with SPA-friendly settings
-      const results = await pa11y(cacheBustUrl, {
+  /**
+   * Run pa11y and the browser checks on a page at one viewport, taking screenshots while the page is open
+   * @private
+   * @param {string} url - URL to analyze
+   * @param {Object|null} viewport - Viewport profile, or null for the configured viewport
+   * @returns {Promise<Object>} { pageTitle, issues (merged, not grouped), screenshot, settle, untestedFrames }
+   */
+  async _analyzeView(url, viewport) {
+    let page = null;
+    try {
+      // Prepare the page ourselves so session headers and cookies apply
+      page = await this.context.newPage();
+      if (viewport) {
+        logger.info(`  Viewport: ${viewport.name} (${viewport.width}x${viewport.height})`);
+      }
+      // pa11y sets the viewport itself, so pass ours instead of its 1280x1024 default
+      const puppeteerViewport = viewport ? toPuppeteerViewport(viewport) : config.pa11yConfig.chromeLaunchConfig.defaultViewport;
+
+      // Load the page and wait until it has settled, then let pa11y test it as it is
+      const settle = await loadPage(page, url, { session: this.session, viewport: puppeteerViewport, ready: this.ready });
+      logger.info(`  Settled after ${settle.time}ms${settle.timedOut ? ' (upper bound reached)' : ''}`);
+
+      const results = await pa11y(url, {
         ...config.pa11yConfig,
         standard: this.standard,
+        runners: this.runners,
         browser: this.browser,
-        // Wait for network to be idle (important for SPAs with i18n)
-        waitUntil: config.pa11yConfig.waitUntil,
+        page,
+        viewport: puppeteerViewport,
+        ignoreUrl: true,
+        wait: 0,
         log: {
           debug: (msg) => logger.debug(msg),
           error: (msg) => logger.error(msg),
@@ -53,30 +163,107 @@ export class WCAGAnalyzer {
         }
       });
 
-      // Group issues by type to avoid duplicates
-      const groupedIssues = this._groupIssuesByType(results.issues);
+      // Same-origin frames and shadow roots, which pa11y only tests in part or not at all
+      const embedded = await analyzeEmbedded(page, {
+        standard: this.standard,
+        runners: this.runners,
+        ...config.embedded
+      });
+      const pageIssues = results.issues.filter(issue =>
+        !(issue.runner === 'axe' && embedded.misattributed.has(`${issue.code}|${issue.selector}`)));
+
+      // Checks for criteria pa11y's runners do not cover and the organization's own rules, on the same loaded page
+      const checks = [...this.checks, ...this.plugins.filter(plugin => plugin.run)];
+      const rawIssues = [...pageIssues, ...embedded.issues, ...await runChecks(page, checks, this.standard)];
+
+      // Keep session secrets (e.g. prefilled user data) out of reports
+      if (this.session) {
+        for (const issue of rawIssues) {
+          issue.message = this.session.redact(issue.message);
+          issue.context = this.session.redact(issue.context);
+        }
+      }
+
+      // One issue per element and success criterion, listing the runners that found it
+      const issues = mergeRunnerIssues(rawIssues);
+      for (const issue of issues) {
+        issue.impact = getImpact(issue);
+        if (viewport) {
+          issue.viewports = [viewport.name];
+        }
+      }
+
+      // Visual evidence: crop per grouped issue, then hand each crop to the issues it shows
+      let screenshot = null;
+      if (this.screenshots) {
+        const groups = this._groupIssuesByType(issues);
+        screenshot = await this.screenshots.capture(page, groups).catch(error => {
+          logger.warn(`Screenshots failed for ${url}: ${error.message}`);
+          return null;
+        });
+        const crops = new Map(groups.map(group => [this._groupKey(group), group.screenshot]));
+        for (const issue of issues) {
+          issue.screenshot = crops.get(this._groupKey(issue));
+        }
+        for (const shot of [screenshot, ...crops.values()]) {
+          if (shot && viewport) {
+            shot.viewport = viewport.name;
+          }
+        }
+      }
 
-      logger.info(`Analysis complete: ${groupedIssues.length} unique issue types found`);
-      
       return {
-        url,
         pageTitle: results.pageTitle || '',
-        issues: groupedIssues,
-        totalIssues: results.issues.length,
-        timestamp: new Date().toISOString()
+        issues,
+        screenshot,
+        settle,
+        untestedFrames: embedded.untestedFrames
       };
-    } catch (error) {
-      logger.error(`Analysis failed for ${url}: ${error.message}`);
-      throw new Error(`Failed to analyze ${url}: ${error.message}`);
+    } finally {
+      if (page) {
+        await page.close().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Combine per-viewport results: an issue on the same element in several
+   * viewports becomes one issue listing all of them
+   * @private
+   */
+  _mergeViewports(views) {
+    const merged = new Map();
+
+    for (const view of views) {
+      for (const issue of view.issues) {
+        const key = `${issue.code}|${issue.type}|${issue.selector}`;
+        const existing = merged.get(key);
+        if (existing) {
+          existing.viewports.push(...issue.viewports);
+          existing.screenshot = existing.screenshot || issue.screenshot;
+        } else {
+          merged.set(key, { ...issue, viewports: [...issue.viewports] });
+        }
+      }
     }
+
+    return [...merged.values()];
   }
 
   /**
    * Analyze multiple pages
    * @param {string[]} urls - Array of URLs to analyze
+   * @param {Object} [options] - Analysis options
+   * @param {number} [options.concurrency] - Pages analyzed in parallel (browser tabs)
+   * @param {number} [options.perHostConcurrency] - Maximum parallel pages per host
    * @returns {Promise<Object>} Complete website analysis
    */
-  async analyzeWebsite(urls) {
+  async analyzeWebsite(urls, options = {}) {
+    const {
+      concurrency = config.concurrency,
+      perHostConcurrency = config.perHostConcurrency
+    } = options;
+
     try {
       // Deduplicate URLs
       const uniqueUrls = [...new Set(urls)];
@@ -84,24 +271,45 @@ export class WCAGAnalyzer {
         logger.warn(`Removed ${urls.length - uniqueUrls.length} duplicate URLs`);
       }
 
-      logger.info(`Starting website analysis for ${uniqueUrls.length} pages`);
+      logger.info(`Starting website analysis for ${uniqueUrls.length} pages (concurrency=${concurrency}, per host=${perHostConcurrency})`);
       
-      const pageAnalyses = [];
-      const failedPages = [];
-      let allIssues = [];
+      await this.init();
+
+      // Politeness limit: one semaphore per host
+      const hostLimits = new Map();
+      const hostLimit = (url) => {
+        const host = new URL(url).host;
+        if (!hostLimits.has(host)) {
+          hostLimits.set(host, new Semaphore(perHostConcurrency));
+        }
+        return hostLimits.get(host);
+      };
 
-      for (let i = 0; i < uniqueUrls.length; i++) {
-        const url = uniqueUrls[i];
+      const outcomes = await mapConcurrent(uniqueUrls, concurrency, async (url, i) => {
         try {
-          logger.info(`[${i + 1}/${uniqueUrls.length}] Analyzing: ${url}`);
-          const analysis = await this.analyzePage(url);
-          pageAnalyses.push(analysis);
-          allIssues = allIssues.concat(analysis.issues);
-          
-          logger.info(`✓ Found ${analysis.issues.length} unique issue types`);
+          const analysis = await hostLimit(url).run(() => {
+            logger.info(`[${i + 1}/${uniqueUrls.length}] Analyzing: ${url}`);
+            return this.analyzePage(url);
+          });
+          logger.info(`✓ Found ${analysis.issues.length} unique issue types on ${url}`);
+          return { analysis };
         } catch (error) {
           logger.error(`✗ Failed: ${error.message}`);
-          failedPages.push({ url, error: error.message });
+          return { failure: { url, error: error.message } };
+        }
+      });
+
+      // Collect in original page order
+      const pageAnalyses = [];
+      const failedPages = [];
+      let allIssues = [];
+
+      for (const outcome of outcomes) {
+        if (outcome.analysis) {
+          pageAnalyses.push(outcome.analysis);
+          allIssues = allIssues.concat(outcome.analysis.issues);
+        } else {
+          failedPages.push(outcome.failure);
         }
       }
 
@@ -115,6 +323,10 @@ export class WCAGAnalyzer {
         pageAnalyses,
         issuesByImpact,
         failedPages,
+        runners: this.runners,
+        checks: this.checks.map(check => check.id),
+        ...(this.plugins.length > 0 ? { plugins: this.plugins.map(plugin => plugin.id) } : {}),
+        ...(this.viewports ? { viewports: this.viewports.map(viewport => viewport.name) } : {}),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -131,7 +343,7 @@ export class WCAGAnalyzer {
     const grouped = {};
     
     for (const issue of issues) {
-      const key = `${issue.code}_${issue.type}`;
+      const key = this._groupKey(issue);
       
       if (!grouped[key]) {
         grouped[key] = {
@@ -143,14 +355,32 @@ export class WCAGAnalyzer {
           selector: issue.selector,
           runner: issue.runner,
           runnerExtras: issue.runnerExtras,
+          criteria: issue.criteria,
+          impact: issue.impact,
+          runners: [],
+          ...(issue.viewports ? { viewports: issue.viewports } : {}),
           elements: []
         };
       }
+      if (issue.screenshot && !grouped[key].screenshot) {
+        grouped[key].screenshot = issue.screenshot;
+      }
       
       grouped[key].elements.push({
         selector: issue.selector,
-        context: issue.context
+        context: issue.context,
+        runners: issue.runners,
+        impact: issue.impact
       });
+      // A group is as severe as its worst element
+      if (compareImpact(issue.impact, grouped[key].impact) < 0) {
+        grouped[key].impact = issue.impact;
+      }
+      for (const runner of issue.runners || [issue.runner]) {
+        if (!grouped[key].runners.includes(runner)) {
+          grouped[key].runners.push(runner);
+        }
+      }
     }
 
     // Convert to array and add element count
@@ -161,6 +391,15 @@ export class WCAGAnalyzer {
     }));
   }
 
+  /**
+   * Grouping key: same rule and type, and with viewports the same set of viewports,
+   * so viewport-specific findings stay separate from those seen everywhere
+   * @private
+   */
+  _groupKey(issue) {
+    return `${issue.code}_${issue.type}${issue.viewports ? `_${issue.viewports.join(',')}` : ''}`;
+  }
+
   /**
    * Group issues by impact level
    * @private
@@ -169,39 +408,21 @@ export class WCAGAnalyzer {
     const impact = { critical: 0, serious: 0, moderate: 0, minor: 0 };
     
     for (const issue of issues) {
-      const type = issue.type?.toLowerCase() || 'notice';
-      if (type === 'error') impact.critical++;
-      else if (type === 'warning') impact.serious++;
-      else impact.moderate++;
+      impact[getImpact(issue)]++;
     }
     
     return impact;
   }
 
   /**
-   * Add cache-busting parameter to URL
-   * @private
-   */
-  _addCacheBuster(url) {
-    try {
-      const urlObj = new URL(url);
-      urlObj.searchParams.set('_wcag_cache_bust', Date.now());
-      return urlObj.toString();
-    } catch {
-      // If URL parsing fails, return original
-      return url;
-    }
-  }
-
-  /**
-   * Close browser and cleanup
+   * Close the context and return the browser to the pool
    */
   async close() {
-    if (this.browser) {
-      logger.info('Closing browser...');
-      await this.browser.close();
+    if (this.lease) {
+      await this.lease.release();
+      this.lease = null;
       this.browser = null;
-      logger.info('Browser closed successfully');
+      this.context = null;
     }
   }
 }
@@ -0,0 +1,335 @@
+/**
+ * Authenticated sessions: extra headers, cookies and a scripted login
+ * shared by the scraper (axios) and the analyzer (Puppeteer/pa11y)
+ */
+import { URL } from 'node:url';
+import config from './config.js';
+import logger, { registerSecret, unregisterSecret, redactSecrets } from './logger.js';
+
+const LOGIN_ACTIONS = ['goto', 'fill', 'click', 'wait_for', 'wait_for_navigation'];
+
+// Crawling these would end the session
+const LOGOUT_PATTERN = /(log-?out|sign-?out|logg-?ut|logoff|avslutt)/i;
+
+// Headers whose values are credentials and are masked in logs and reports. Other
+// header values are only masked where they come from ${NAME} environment variables.
+const CREDENTIAL_HEADERS = /^(authorization|proxy-authorization|cookie)$/i;
+
+// ${NAME} references resolve only to variables with this prefix or listed in AUTH_ENV_VARS.
+// Clients choose where auth values are sent, so any other variable could be read out.
+const AUTH_ENV_PREFIX = 'WCAG_AUTH_';
+
+export class AuthSession {
+  /**
+   * @param {Object} auth - Authentication options
+   * @param {Object} [auth.headers] - Extra HTTP headers sent with every request to the site's origin
+   * @param {Array|string} [auth.cookies] - Cookies as [{name, value, domain?, path?}] or "a=1; b=2"
+   * @param {Object} [auth.login] - Login sequence: { url, steps: [{ action, selector, value, url }] }
+   * @param {string} baseUrl - Site URL, used as default cookie domain and login URL
+   *
+   * String values may reference server environment variables as ${NAME} (WCAG_AUTH_*
+   * or listed in AUTH_ENV_VARS), so credentials do not have to be passed in tool arguments.
+   */
+  constructor(auth = {}, baseUrl) {
+    this.baseUrl = baseUrl;
+    this.secrets = [];
+    this.headers = {};
+    this.cookies = [];
+    this.login = null;
+
+    try {
+      for (const [name, value] of Object.entries(auth.headers || {})) {
+        if (CREDENTIAL_HEADERS.test(name)) {
+          this.headers[name] = this._secret(value);
+          // Also mask the credential part of "Bearer <token>" style values
+          this._register(this.headers[name].split(/\s+/).pop());
+        } else {
+          this.headers[name] = this._resolve(String(value));
+        }
+      }
+
+      this.cookies = this._parseCookies(auth.cookies || []);
+
+      if (auth.login) {
+        this.login = {
+          url: auth.login.url ? this._resolve(auth.login.url) : baseUrl,
+          steps: (auth.login.steps || []).map((step, index) => this._parseStep(step, index))
+        };
+      }
+    } catch (error) {
+      // No one can dispose a session that was never constructed
+      this.dispose();
+      throw error;
+    }
+  }
+
+  /**
+   * Run the login sequence in an isolated browser context and keep the resulting cookies
+   * @param {import('puppeteer').Browser} browser - Browser to log in with
+   */
+  async performLogin(browser) {
+    if (!this.login) {
+      return;
+    }
+
+    logger.info(`Logging in at ${this.login.url} (${this.login.steps.length} steps)`);
+    const context = await browser.createBrowserContext();
+
+    try {
+      const page = await context.newPage();
+      await page.setUserAgent(config.userAgent);
+      await this.applyToPage(page);
+      await page.goto(this.login.url, { waitUntil: 'networkidle2', timeout: config.timeout });
+
+      for (const [index, step] of this.login.steps.entries()) {
+        // Never log step values, they are usually credentials
+        logger.debug(`  Login step ${index + 1}: ${step.action}${step.selector ? ` ${step.selector}` : ''}`);
+        await this._runStep(page, step);
+      }
+
+      const cookies = await context.cookies();
+      for (const cookie of cookies) {
+        this._register(cookie.value);
+      }
+      this.cookies = this._mergeCookies(this.cookies, cookies);
+      logger.info(`Login complete: ${cookies.length} session cookies captured`);
+    } catch (error) {
+      throw new Error(`Login failed: ${redactSecrets(error.message)}`);
+    } finally {
+      await context.close();
+    }
+  }
+
+  /**
+   * Apply headers and cookies to a Puppeteer page before navigation. Headers are added
+   * per request and only for the site's origin, so credentials never reach CDNs,
+   * analytics or embeds. Other request handlers on the page must use cooperative
+   * interception (a priority argument to continue/abort) so the headers are kept.
+   * @param {import('puppeteer').Page} page - Page to configure
+   */
+  async applyToPage(page) {
+    if (Object.keys(this.headers).length > 0) {
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        if (request.isInterceptResolutionHandled()) {
+          return;
+        }
+        const overrides = this.isSiteUrl(request.url())
+          ? { ...request.continueRequestOverrides(), headers: { ...request.headers(), ...this.headers } }
+          : request.continueRequestOverrides();
+        request.continue(overrides, 0).catch(() => {});
+      });
+    }
+    if (this.cookies.length > 0) {
+      await page.setCookie(...this.cookies);
+    }
+  }
+
+  /**
+   * HTTP headers for an axios request: the session headers if the URL is on the site's
+   * origin, and a Cookie header for the URL's host
+   * @param {string} url - Request URL
+   * @returns {Object} Headers
+   */
+  getRequestHeaders(url) {
+    const { hostname } = new URL(url);
+    const cookieHeader = this.cookies
+      .filter(cookie => {
+        const domain = (cookie.domain || '').replace(/^\./, '');
+        return !domain || hostname === domain || hostname.endsWith(`.${domain}`);
+      })
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+
+    return {
+      ...(this.isSiteUrl(url) ? this.headers : {}),
+      ...(cookieHeader ? { Cookie: cookieHeader } : {})
+    };
+  }
+
+  /**
+   * Drop the session headers from an axios request that a redirect takes off the site's
+   * origin (axios `beforeRedirect` hook)
+   * @param {Object} options - Redirected request options ({ href, headers })
+   */
+  scopeRedirect(options) {
+    if (this.isSiteUrl(options.href)) {
+      return;
+    }
+    const names = Object.keys(this.headers).map(name => name.toLowerCase());
+    for (const name of Object.keys(options.headers || {})) {
+      if (names.includes(name.toLowerCase())) {
+        delete options.headers[name];
+      }
+    }
+  }
+
+  /**
+   * Check whether a URL is on the audited site's origin, the only one that gets the session headers
+   * @param {string} url - URL to check
+   * @returns {boolean} True for same-origin URLs
+   */
+  isSiteUrl(url) {
+    try {
+      return new URL(url).origin === new URL(this.baseUrl).origin;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a URL looks like a logout link that would end the session
+   * @param {string} url - URL to check
+   * @returns {boolean} True for logout/sign-out URLs
+   */
+  isLogoutUrl(url) {
+    return LOGOUT_PATTERN.test(url);
+  }
+
+  /**
+   * Mask session secrets in text destined for reports
+   * @param {string} text - Text to redact
+   * @returns {string} Redacted text
+   */
+  redact(text) {
+    return redactSecrets(text);
+  }
+
+  /**
+   * Stop masking this session's secrets once the call is finished
+   */
+  dispose() {
+    for (const secret of this.secrets) {
+      unregisterSecret(secret);
+    }
+    this.secrets = [];
+  }
+
+  /**
+   * Run a single login step
+   * @private
+   */
+  async _runStep(page, step) {
+    switch (step.action) {
+      case 'goto':
+        await page.goto(step.url, { waitUntil: 'networkidle2', timeout: config.timeout });
+        break;
+      case 'fill':
+        await page.waitForSelector(step.selector, { visible: true, timeout: config.timeout });
+        await page.$eval(step.selector, (el) => { el.value = ''; });
+        await page.type(step.selector, step.value);
+        break;
+      case 'click':
+        await page.waitForSelector(step.selector, { visible: true, timeout: config.timeout });
+        await page.click(step.selector);
+        break;
+      case 'wait_for':
+        await page.waitForSelector(step.selector, { timeout: config.timeout });
+        break;
+      case 'wait_for_navigation':
+        await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: config.timeout });
+        break;
+    }
+  }
+
+  /**
+   * Validate a login step and resolve its values
+   * @private
+   */
+  _parseStep(step, index) {
+    if (!LOGIN_ACTIONS.includes(step.action)) {
+      throw new Error(`Login step ${index + 1}: unknown action "${step.action}" (use ${LOGIN_ACTIONS.join(', ')})`);
+    }
+    if (step.action === 'goto' && !step.url) {
+      throw new Error(`Login step ${index + 1}: "goto" requires url`);
+    }
+    if (['fill', 'click', 'wait_for'].includes(step.action) && !step.selector) {
+      throw new Error(`Login step ${index + 1}: "${step.action}" requires selector`);
+    }
+
+    return {
+      action: step.action,
+      selector: step.selector,
+      url: step.url ? new URL(this._resolve(step.url), this.baseUrl).toString() : undefined,
+      value: step.action === 'fill' ? this._secret(step.value ?? '') : undefined
+    };
+  }
+
+  /**
+   * Parse cookies from an array or a Cookie header string
+   * @private
+   */
+  _parseCookies(cookies) {
+    const list = typeof cookies === 'string'
+      ? cookies.split(';').map(pair => {
+        const separator = pair.indexOf('=');
+        return { name: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim() };
+      }).filter(cookie => cookie.name)
+      : cookies;
+
+    const { hostname } = new URL(this.baseUrl);
+    return list.map(cookie => ({
+      name: cookie.name,
+      value: this._secret(cookie.value),
+      domain: cookie.domain || hostname,
+      path: cookie.path || '/'
+    }));
+  }
+
+  /**
+   * Merge browser cookies into the jar, newer values win
+   * @private
+   */
+  _mergeCookies(existing, incoming) {
+    const jar = new Map(existing.map(cookie => [`${cookie.domain}|${cookie.path}|${cookie.name}`, cookie]));
+    for (const cookie of incoming) {
+      jar.set(`${cookie.domain}|${cookie.path}|${cookie.name}`, {
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain,
+        path: cookie.path,
+        secure: cookie.secure,
+        httpOnly: cookie.httpOnly
+      });
+    }
+    return [...jar.values()];
+  }
+
+  /**
+   * Resolve a value and register it as a secret
+   * @private
+   */
+  _secret(value) {
+    const resolved = this._resolve(String(value));
+    this._register(resolved);
+    return resolved;
+  }
+
+  /**
+   * Mask a value until the session is disposed
+   * @private
+   */
+  _register(value) {
+    registerSecret(value);
+    this.secrets.push(value);
+  }
+
+  /**
+   * Replace ${NAME} references with the server environment variables auth may use
+   * @private
+   */
+  _resolve(value) {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/g, (_, name) => {
+      if (!name.startsWith(AUTH_ENV_PREFIX) && !config.authEnvVars.includes(name)) {
+        throw new Error(`Environment variable ${name} may not be used in auth (use the ${AUTH_ENV_PREFIX} prefix or list it in AUTH_ENV_VARS)`);
+      }
+      if (process.env[name] === undefined) {
+        throw new Error(`Environment variable ${name} is not set`);
+      }
+      this._register(process.env[name]);
+      return process.env[name];
+    });
+  }
+}
+
+export default AuthSession;
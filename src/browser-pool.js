@@ -0,0 +1,204 @@
+/**
+ * Browsers shared by all tool calls. Chrome is launched once and kept warm; each call
+ * works in its own incognito browser context, so cookies, storage and cache never leak
+ * between calls or HTTP sessions. The number of browsers is capped, and a browser is
+ * replaced once it has opened too many pages or uses too much memory.
+ */
+import { readFile } from 'node:fs/promises';
+import puppeteer from 'puppeteer';
+import config from './config.js';
+import logger from './logger.js';
+
+/**
+ * Resident memory of a process and all its descendants (Chrome's renderers, GPU and
+ * utility processes). Linux only.
+ * @param {number|string} pid - Process id
+ * @returns {Promise<number|null>} Kilobytes, or null where /proc is not available
+ */
+async function processTreeMemory(pid) {
+  try {
+    const status = await readFile(`/proc/${pid}/status`, 'utf8');
+    let kilobytes = parseInt(status.match(/^VmRSS:\s+(\d+)/m)?.[1]) || 0;
+    const children = (await readFile(`/proc/${pid}/task/${pid}/children`, 'utf8')).trim().split(/\s+/).filter(Boolean);
+    for (const child of children) {
+      // A renderer may exit between the two reads
+      kilobytes += (await processTreeMemory(child)) || 0;
+    }
+    return kilobytes;
+  } catch {
+    return null;
+  }
+}
+
+export class BrowserPool {
+  /**
+   * @param {Object} [options] - Pool options (default: BROWSER_POOL_* settings)
+   * @param {number} [options.size] - Maximum browsers running at once
+   * @param {number} [options.recyclePages] - Pages a browser opens before it is replaced
+   * @param {number} [options.recycleMemoryMb] - Memory (MB) above which a browser is replaced
+   */
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || config.browserPool.size);
+    this.recyclePages = options.recyclePages || config.browserPool.recyclePages;
+    this.recycleMemoryMb = options.recycleMemoryMb || config.browserPool.recycleMemoryMb;
+    this.browsers = [];
+    this.launching = 0;
+    this.waiting = [];
+    this.closed = false;
+  }
+
+  /**
+   * Lease an incognito context on a warm browser, launching one if the pool has room.
+   * When every browser is busy and the pool is full, calls share the least busy browser.
+   * @returns {Promise<Object>} Lease { browser, context, release() }; release closes the context
+   */
+  async acquire() {
+    const entry = await this._pick();
+
+    let context;
+    try {
+      context = await entry.browser.createBrowserContext();
+    } catch (error) {
+      entry.leases--;
+      await this._retireIfDone(entry);
+      throw error;
+    }
+
+    let released = false;
+    return {
+      browser: entry.browser,
+      context,
+      release: async () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        await context.close().catch(() => {});
+        entry.leases--;
+        await this._retireIfDone(entry);
+      }
+    };
+  }
+
+  /**
+   * Close every browser; leases still out fail with a closed browser
+   */
+  async shutdown() {
+    this.closed = true;
+    const browsers = this.browsers.splice(0);
+    if (browsers.length > 0) {
+      logger.info(`Closing ${browsers.length} pooled browsers...`);
+    }
+    await Promise.all(browsers.map(entry => entry.browser.close().catch(() => {})));
+    this._wake();
+  }
+
+  /**
+   * Choose the browser for a new lease: an idle one, a new one, or the least busy one.
+   * The lease is counted before returning, so concurrent calls never take the same idle browser.
+   * @private
+   */
+  async _pick() {
+    for (;;) {
+      if (this.closed) {
+        throw new Error('Browser pool is shut down');
+      }
+      const usable = this.browsers.filter(entry => !entry.retiring && entry.browser.connected);
+      const idle = usable.find(entry => entry.leases === 0);
+      if (idle) {
+        idle.leases++;
+        return idle;
+      }
+      if (this.browsers.length + this.launching < this.size) {
+        return this._launch();
+      }
+      if (usable.length > 0) {
+        const least = usable.reduce((least, entry) => entry.leases < least.leases ? entry : least);
+        least.leases++;
+        return least;
+      }
+      // Browsers are still launching or only retiring ones are left: wait until a launch
+      // finishes or a browser has closed
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+  }
+
+  /**
+   * Launch a browser and count the pages it opens, with one lease for the caller
+   * @private
+   */
+  async _launch() {
+    this.launching++;
+    let browser;
+    try {
+      logger.info('Launching Puppeteer browser...');
+      browser = await puppeteer.launch(config.pa11yConfig.chromeLaunchConfig);
+      logger.info(`Browser launched successfully (${this.browsers.length + 1}/${this.size} in pool)`);
+    } finally {
+      this.launching--;
+      // Callers waiting for a launch share the new browser or, if it failed, launch one
+      this._wake();
+    }
+
+    const entry = { browser, leases: 1, pages: 0, retiring: false };
+    browser.on('targetcreated', (target) => {
+      if (target.type() === 'page') {
+        entry.pages++;
+      }
+    });
+    browser.on('disconnected', () => {
+      if (this.browsers.includes(entry)) {
+        logger.warn('Pooled browser disconnected, it will be replaced');
+        this.browsers = this.browsers.filter(other => other !== entry);
+        this._wake();
+      }
+    });
+    this.browsers.push(entry);
+    return entry;
+  }
+
+  /**
+   * After a lease ends: mark the browser for replacement if it has opened too many
+   * pages or grown too large, and close it once its last lease is released
+   * @private
+   */
+  async _retireIfDone(entry) {
+    if (!entry.retiring) {
+      let reason = null;
+      if (entry.pages >= this.recyclePages) {
+        reason = `${entry.pages} pages`;
+      } else {
+        const pid = entry.browser.process()?.pid;
+        const kilobytes = pid ? await processTreeMemory(pid) : null;
+        if (kilobytes !== null && kilobytes / 1024 > this.recycleMemoryMb) {
+          reason = `${Math.round(kilobytes / 1024)} MB memory`;
+        }
+      }
+      if (reason) {
+        logger.info(`Recycling browser after ${reason}`);
+        entry.retiring = true;
+      }
+    }
+
+    if (entry.retiring && entry.leases === 0 && this.browsers.includes(entry)) {
+      this.browsers = this.browsers.filter(other => other !== entry);
+      await entry.browser.close().catch(() => {});
+      this._wake();
+    }
+  }
+
+  /**
+   * Let callers waiting for a free slot look again
+   * @private
+   */
+  _wake() {
+    for (const resolve of this.waiting.splice(0)) {
+      resolve();
+    }
+  }
+}
+
+// Shared by every tool call in this process
+export const browserPool = new BrowserPool();
+
+export default browserPool;
@@ -0,0 +1,86 @@
+/**
+ * DOM helpers for browser checks
+ * They run inside the page, so every helper must be self-contained (no imports or outer variables)
+ */
+
+/**
+ * CSS selector for an element, in the same format pa11y uses for its issues
+ * @param {Element} element - Element in the page
+ * @returns {string} Selector such as "#main > div:nth-child(2) > p"
+ */
+export function selectorFor(element) {
+  const parts = [];
+  for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+    if (node.id) {
+      parts.unshift(`#${node.id}`);
+      break;
+    }
+    let identifier = node.tagName.toLowerCase();
+    if (node.parentNode) {
+      const siblings = [...node.parentNode.children];
+      if (siblings.filter(sibling => sibling.tagName === node.tagName).length > 1) {
+        identifier += `:nth-child(${siblings.indexOf(node) + 1})`;
+      }
+    }
+    parts.unshift(identifier);
+  }
+  return parts.join(' > ');
+}
+
+/**
+ * Shortened outer HTML of an element, in the same format pa11y uses for issue context
+ * @param {Element} element - Element in the page
+ * @returns {string} HTML snippet
+ */
+export function contextFor(element) {
+  let html = element.outerHTML || '';
+  if (element.innerHTML.length > 31) {
+    html = html.replace(element.innerHTML, `${element.innerHTML.substr(0, 31)}...`);
+  }
+  return html.length > 251 ? `${html.substr(0, 250)}...` : html;
+}
+
+/**
+ * Whether an element is rendered and visible to sighted users.
+ * Visually hidden text (1px "sr-only" boxes) counts as not visible.
+ * @param {Element} element - Element in the page
+ * @returns {boolean} True if visible
+ */
+export function isVisible(element) {
+  if (element.checkVisibility && !element.checkVisibility({ opacityProperty: true, visibilityProperty: true })) {
+    return false;
+  }
+  const rect = element.getBoundingClientRect();
+  return rect.width > 1 && rect.height > 1;
+}
+
+const HELPERS = [selectorFor, contextFor, isVisible];
+
+/**
+ * Run a function in the page with the DOM helpers in scope.
+ * Sent as an expression rather than injected as a script, so pages with a
+ * strict Content-Security-Policy work too.
+ * @param {import('puppeteer').Page|import('puppeteer').Frame} page - Loaded page, or a frame in it
+ * @param {Function|string} fn - Function (or its source) to run in the page; receives `args`
+ * @param {...*} args - JSON-serializable arguments
+ * @returns {Promise<*>} The function's (awaited) result
+ */
+export async function evaluateWithHelpers(page, fn, ...args) {
+  const helpers = HELPERS.map(helper => helper.toString()).join('\n');
+  return page.evaluate(`(() => {
+${helpers}
+return (${fn.toString()})(...${JSON.stringify(args)});
+})()`);
+}
+
+/**
+ * Run a function on an element handle with the DOM helpers in scope
+ * @param {import('puppeteer').ElementHandle} element - Element in the page
+ * @param {Function} fn - Function to run in the page; receives the element
+ * @returns {Promise<*>} The function's (awaited) result
+ */
+export async function evaluateOnElement(element, fn) {
+  const helpers = HELPERS.map(helper => helper.toString()).join('\n');
+  return element.evaluate(new Function('element', `${helpers}
+return (${fn.toString()})(element);`));
+}
@@ -0,0 +1,108 @@
+/**
+ * Browser checks for success criteria pa11y's runners do not cover.
+ * A check runs on the page pa11y just analyzed and returns findings that
+ * become pa11y-style issues, so reports treat them like any other issue.
+ *
+ * Check: { id, criterion: '1.4.10', level: 'A'|'AA'|'AAA', run(page) -> findings[] }
+ * Finding: { technique, type, message, selector, context, impact?, criterion?, level?, review?, informational? }
+ * `review` marks findings a person has to confirm (listed for manual review in reports).
+ * `informational` keeps a finding whose level is above the standard as a notice marked
+ * `aboveStandard`, reported for information and not counted as an issue.
+ */
+import logger from '../logger.js';
+import media from './media.js';
+import reflow from './reflow.js';
+import targetSize from './target-size.js';
+import textSpacing from './text-spacing.js';
+
+// Built-in checks, in the order they run
+export const CHECKS = { reflow, 'text-spacing': textSpacing, media, 'target-size': targetSize };
+
+// Highest conformance level tested by each standard
+const STANDARD_LEVELS = { WCAG2A: 1, WCAG2AA: 2, WCAG2AAA: 3 };
+const CHECK_LEVELS = { A: 1, AA: 2, AAA: 3 };
+
+const TYPE_CODES = { error: 1, warning: 2, notice: 3 };
+
+/**
+ * Validate a check list and put it in run order
+ * @param {string[]} ids - Requested check ids (empty for none)
+ * @returns {Object[]} Checks in run order
+ */
+export function normalizeChecks(ids) {
+  for (const id of ids) {
+    if (!CHECKS[id]) {
+      throw new Error(`Unknown check "${id}" (use ${Object.keys(CHECKS).join(', ')})`);
+    }
+  }
+  return Object.keys(CHECKS).filter(id => ids.includes(id)).map(id => CHECKS[id]);
+}
+
+/**
+ * Run checks on a loaded page. A failing check is logged and skipped.
+ * @param {import('puppeteer').Page} page - Page pa11y analyzed (still open)
+ * @param {Object[]} checks - Checks from normalizeChecks
+ * @param {string} standard - WCAG standard; checks above its level are skipped
+ * @returns {Promise<Object[]>} pa11y-style issues
+ */
+export async function runChecks(page, checks, standard) {
+  const issues = [];
+
+  for (const check of checks) {
+    if (!isLevelIncluded(check.level, standard)) {
+      continue;
+    }
+    try {
+      const findings = await check.run(page);
+      logger.debug(`Check ${check.id}: ${findings.length} findings`);
+      // A finding for another criterion than the check's may be of a higher level
+      for (const finding of findings) {
+        if (!finding.level || isLevelIncluded(finding.level, standard)) {
+          issues.push(toIssue(check, finding, standard));
+        } else if (finding.informational) {
+          issues.push({
+            ...toIssue(check, { ...finding, type: 'notice', impact: 'minor', review: false }, standard),
+            aboveStandard: finding.level
+          });
+        }
+      }
+    } catch (error) {
+      logger.warn(`Check ${check.id} failed: ${error.message}`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Whether a standard tests success criteria of a conformance level
+ * @param {string} level - 'A', 'AA' or 'AAA'
+ * @param {string} standard - WCAG2A, WCAG2AA or WCAG2AAA
+ * @returns {boolean} True if the level is included
+ */
+export function isLevelIncluded(level, standard) {
+  return CHECK_LEVELS[level] <= (STANDARD_LEVELS[standard] || STANDARD_LEVELS.WCAG2AA);
+}
+
+/**
+ * Convert a finding to a pa11y issue with an HTML_CodeSniffer-style code,
+ * e.g. "WCAG2AA.Principle1.Guideline1_4.1_4_10.Reflow.HorizontalScroll"
+ * @param {Object} check - Check (or tool) that made the finding: { id, criterion }
+ * @param {Object} finding - Finding; its own `criterion` overrides the check's
+ * @param {string} standard - WCAG standard used as code prefix
+ * @returns {Object} pa11y issue
+ */
+export function toIssue(check, finding, standard) {
+  const [principle, guideline, criterion] = (finding.criterion || check.criterion).split('.');
+  return {
+    code: `${standard}.Principle${principle}.Guideline${principle}_${guideline}.${principle}_${guideline}_${criterion}.${finding.technique}`,
+    type: finding.type,
+    typeCode: TYPE_CODES[finding.type] || 0,
+    message: finding.message,
+    context: finding.context || '',
+    selector: finding.selector || '',
+    runner: check.id,
+    runnerExtras: finding.review ? { needsFurtherReview: true } : {},
+    ...(finding.impact ? { impact: finding.impact } : {})
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Media check (WCAG 1.2.2, 1.2.3, 1.2.4, 1.2.5 and 1.4.2): captions and audio description
+ * tracks for video, sound that plays automatically, and embedded video players
+ * whose content cannot be inspected from the page
+ */
+import { evaluateWithHelpers } from './dom.js';
+
+// Sound that stops within 3 seconds is exempt from 1.4.2
+const AUTOPLAY_LIMIT_SECONDS = 3;
+
+// Media elements inspected per page
+const MAX_ITEMS = 30;
+
+/**
+ * Inventory video, audio and embedded players. Runs in the page.
+ * @returns {Object[]} Media { kind, player?, selector, context, ... }
+ */
+function inventoryMedia({ maxItems }) {
+  const PLAYERS = [
+    { name: 'YouTube', host: /(^|\.)(youtube\.com|youtube-nocookie\.com)$/ },
+    { name: 'Vimeo', host: /(^|\.)vimeo\.com$/ }
+  ];
+  const PAUSE = /pause|stop|mute|unmute|sound|volume|stopp|demp|lyd/i;
+  const TRANSCRIPT = /transcript|transkri|tekstversjon|tekstutskrift|synstolk|audio description/i;
+
+  // Nearby: inside the element's parent, grandparent or great-grandparent
+  const nearby = (element, test) => {
+    let container = element.parentElement;
+    for (let depth = 0; container && container !== document.body && depth < 3; depth++) {
+      if (test(container)) {
+        return true;
+      }
+      container = container.parentElement;
+    }
+    return false;
+  };
+  const nameOf = (element) => [element.textContent, element.getAttribute('aria-label'), element.getAttribute('title'), element.value]
+    .filter(Boolean).join(' ');
+
+  const items = [];
+  for (const element of document.querySelectorAll('video, audio')) {
+    const kinds = [...element.querySelectorAll('track')].map(track => track.kind);
+    items.push({
+      kind: element.tagName.toLowerCase(),
+      selector: selectorFor(element),
+      context: contextFor(element),
+      captions: kinds.includes('captions') || kinds.includes('subtitles'),
+      descriptions: kinds.includes('descriptions'),
+      muted: element.muted || element.hasAttribute('muted'),
+      autoplay: element.autoplay || (!element.paused && !element.ended),
+      loop: element.loop,
+      controls: element.controls,
+      duration: Number.isFinite(element.duration) ? element.duration : null,
+      live: element.duration === Infinity,
+      pauseControl: nearby(element, container => [...container.querySelectorAll('button, [role="button"], input[type="button"]')]
+        .some(button => PAUSE.test(nameOf(button)))),
+      transcript: nearby(element, container => TRANSCRIPT.test(container.textContent))
+    });
+  }
+
+  for (const frame of document.querySelectorAll('iframe[src]')) {
+    let url;
+    try {
+      url = new URL(frame.src);
+    } catch {
+      continue;
+    }
+    const player = PLAYERS.find(candidate => candidate.host.test(url.hostname));
+    if (!player) {
+      continue;
+    }
+    const param = (name) => ['1', 'true'].includes(url.searchParams.get(name));
+    items.push({
+      kind: 'player',
+      player: player.name,
+      selector: selectorFor(frame),
+      context: contextFor(frame),
+      autoplay: param('autoplay'),
+      muted: param('mute') || param('muted') || param('background')
+    });
+  }
+
+  return items.slice(0, maxItems);
+}
+
+/**
+ * Turn the media inventory into check findings
+ * @private
+ */
+function describe(item) {
+  const at = { selector: item.selector, context: item.context };
+  const findings = [];
+
+  if (item.kind === 'player') {
+    findings.push({
+      ...at,
+      technique: `Media.Embedded${item.player}`,
+      type: 'warning',
+      impact: 'moderate',
+      review: true,
+      message: `Embedded ${item.player} player: its captions and audio description cannot be checked from the page. Check in the player that the video has captions (1.2.2) and audio description or a transcript (1.2.3, 1.2.5).`
+    });
+    if (item.autoplay && !item.muted) {
+      findings.push({
+        ...at,
+        criterion: '1.4.2',
+        technique: 'Media.EmbeddedAutoplay',
+        type: 'warning',
+        impact: 'serious',
+        review: true,
+        message: `Embedded ${item.player} player is set to autoplay with sound. Check that the sound stops within 3 seconds or can be paused or muted from the start of the page.`
+      });
+    }
+    return findings;
+  }
+
+  // A muted video without controls is decoration (background video), not content
+  const decorative = item.kind === 'video' && item.muted && !item.controls;
+
+  // A user can unmute a video with controls, so only decoration goes without captions
+  if (item.kind === 'video' && !decorative && !item.captions) {
+    findings.push(item.live
+      ? {
+        ...at,
+        criterion: '1.2.4',
+        level: 'AA',
+        technique: 'Media.NoLiveCaptions',
+        type: 'error',
+        impact: 'critical',
+        message: 'Live stream without a captions track (<track kind="captions">): deaf and hard-of-hearing users miss the audio. If the captions are burned into the picture or shown by the player, suppress this finding.'
+      }
+      : {
+        ...at,
+        technique: 'Media.NoCaptions',
+        type: 'error',
+        impact: 'critical',
+        message: 'Video without a captions track (<track kind="captions">): deaf and hard-of-hearing users miss the audio. If the captions are burned into the picture (open captions), suppress this finding.'
+      });
+  }
+
+  // 1.2.3 and 1.2.5 cover prerecorded video only
+  if (item.kind === 'video' && !decorative && !item.live && !item.descriptions) {
+    if (!item.transcript) {
+      findings.push({
+        ...at,
+        criterion: '1.2.3',
+        technique: 'Media.NoMediaAlternative',
+        type: 'warning',
+        impact: 'moderate',
+        review: true,
+        message: 'Video without an audio description track (<track kind="descriptions">) and without a transcript nearby. Check that the visual information is available as audio description or a text alternative.'
+      });
+    }
+    findings.push({
+      ...at,
+      criterion: '1.2.5',
+      level: 'AA',
+      technique: 'Media.NoAudioDescription',
+      type: 'warning',
+      impact: 'moderate',
+      review: true,
+      message: 'Video without an audio description track (<track kind="descriptions">). Check whether the soundtrack already describes everything shown; otherwise provide audio description.'
+    });
+  }
+
+  const playsLong = item.live || item.duration === null || item.duration > AUTOPLAY_LIMIT_SECONDS;
+  if (item.autoplay && !item.muted && playsLong && !item.controls && !item.pauseControl) {
+    const known = item.live || item.duration !== null;
+    findings.push({
+      ...at,
+      criterion: '1.4.2',
+      technique: 'Media.AutoplayAudio',
+      type: known ? 'error' : 'warning',
+      impact: 'critical',
+      review: !known,
+      message: `${item.kind === 'video' ? 'Video' : 'Audio'} plays sound automatically (${item.live ? 'live stream' : known ? `${Math.round(item.duration)} s` : 'length unknown'}) with no control to pause, stop or mute it. Screen reader users cannot hear their screen reader over it.`
+    });
+  }
+
+  return findings;
+}
+
+export const mediaCheck = {
+  id: 'media',
+  criterion: '1.2.2',
+  level: 'A',
+
+  /**
+   * Inventory the page's media and check captions, audio description and autoplaying sound
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @returns {Promise<Object[]>} Findings
+   */
+  async run(page) {
+    const items = await evaluateWithHelpers(page, inventoryMedia, { maxItems: MAX_ITEMS });
+    return items.flatMap(describe);
+  }
+};
+
+export default mediaCheck;
@@ -0,0 +1,217 @@
+/**
+ * Reflow check (WCAG 1.4.10): content at 320 CSS px width, the equivalent of
+ * 400% zoom on a 1280px wide screen, must not need horizontal scrolling or
+ * lose content to clipping or overlap
+ */
+import { evaluateWithHelpers } from './dom.js';
+
+// 1280x1024 at 400% zoom
+const REFLOW_VIEWPORT = { width: 320, height: 256 };
+
+// Time for resize handlers and media query changes to finish
+const RESIZE_SETTLE_MS = 500;
+
+// Findings per kind and page; text fragments compared for overlap
+const MAX_FINDINGS = 10;
+const MAX_TEXT_FRAGMENTS = 2000;
+
+/**
+ * Inspect the layout at the reflow width. Runs in the page.
+ * @returns {Object[]} Findings { kind, selector, context, ... }
+ */
+function inspectReflow({ maxFindings, maxFragments }) {
+  const root = document.documentElement;
+  const viewportWidth = root.clientWidth;
+  const tolerance = 1;
+  const findings = [];
+
+  // Content that needs two-dimensional layout is exempt from reflow
+  const EXEMPT = 'table, pre, canvas, video, iframe, object, embed, svg, math, [role="grid"], [role="treegrid"], [role="application"], [role="toolbar"], [role="img"]';
+  const clips = (value) => value === 'hidden' || value === 'clip';
+  const elements = [document.body, ...document.body.querySelectorAll('*')]
+    .filter(element => isVisible(element) && !element.closest(EXEMPT));
+
+  // 1. Horizontal scrolling: report the outermost elements reaching past the viewport.
+  // With overflow-x hidden on html/body the page cannot scroll (off-canvas menus etc.)
+  const rootStyle = getComputedStyle(root);
+  const bodyStyle = getComputedStyle(document.body);
+  if (root.scrollWidth > viewportWidth + tolerance && !clips(rootStyle.overflowX) && !clips(bodyStyle.overflowX)) {
+    const overflows = (element) => element.getBoundingClientRect().right + window.scrollX > viewportWidth + tolerance;
+    const inScrollContainer = (element) => {
+      for (let parent = element.parentElement; parent && parent !== document.body; parent = parent.parentElement) {
+        if (getComputedStyle(parent).overflowX !== 'visible') {
+          return true;
+        }
+      }
+      return false;
+    };
+
+    const culprits = elements.filter(element => overflows(element)
+      && (element === document.body || !overflows(element.parentElement))
+      && !inScrollContainer(element));
+
+    for (const element of culprits.slice(0, maxFindings)) {
+      findings.push({
+        kind: 'scroll',
+        selector: selectorFor(element),
+        context: contextFor(element),
+        overflow: Math.round(element.getBoundingClientRect().right + window.scrollX - viewportWidth)
+      });
+    }
+    if (culprits.length === 0) {
+      findings.push({ kind: 'scroll', selector: 'html', context: '', overflow: root.scrollWidth - viewportWidth });
+    }
+  }
+
+  // 2. Text cut off by overflow: hidden/clip, reported on the outermost clipping element
+  const clipped = [];
+  for (const element of elements) {
+    if (clipped.length >= maxFindings) {
+      break;
+    }
+    const style = getComputedStyle(element);
+    const cutX = clips(style.overflowX) && element.scrollWidth > element.clientWidth + tolerance;
+    const cutY = clips(style.overflowY) && element.scrollHeight > element.clientHeight + tolerance;
+    if ((!cutX && !cutY) || element.clientWidth <= 1 || element.clientHeight <= 1) {
+      continue;
+    }
+    if (!element.innerText?.trim() || clipped.some(outer => outer.contains(element))) {
+      continue;
+    }
+    clipped.push(element);
+    findings.push({
+      kind: 'clipped',
+      selector: selectorFor(element),
+      context: contextFor(element),
+      overflow: style.overflowX === style.overflowY ? style.overflowX : `${style.overflowX} ${style.overflowY}`,
+      hidden: cutX ? element.scrollWidth - element.clientWidth : element.scrollHeight - element.clientHeight,
+      direction: cutX ? 'horizontally' : 'vertically'
+    });
+  }
+
+  // 3. Overlapping text: compare rendered line fragments of different text nodes
+  const fragments = [];
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode() && fragments.length < maxFragments) {
+    const node = walker.currentNode;
+    const element = node.parentElement;
+    if (!node.textContent.trim() || !element || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(element.tagName)) {
+      continue;
+    }
+    if (!isVisible(element) || element.closest(EXEMPT)) {
+      continue;
+    }
+    const range = document.createRange();
+    range.selectNodeContents(node);
+    for (const rect of range.getClientRects()) {
+      if (rect.width > 1 && rect.height > 1) {
+        fragments.push({ node, element, rect });
+      }
+    }
+  }
+
+  fragments.sort((a, b) => a.rect.top - b.rect.top);
+  const reported = new Set();
+  for (let i = 0; i < fragments.length && reported.size < maxFindings; i++) {
+    const a = fragments[i];
+    for (let j = i + 1; j < fragments.length && fragments[j].rect.top < a.rect.bottom; j++) {
+      const b = fragments[j];
+      if (a.node === b.node || reported.has(a.element) || reported.has(b.element)) {
+        continue;
+      }
+      // Tight line-height makes neighbouring lines touch; require a real overlap
+      const width = Math.min(a.rect.right, b.rect.right) - Math.max(a.rect.left, b.rect.left);
+      const height = Math.min(a.rect.bottom, b.rect.bottom) - Math.max(a.rect.top, b.rect.top);
+      if (width > 4 && height > 0.3 * Math.min(a.rect.height, b.rect.height)) {
+        reported.add(a.element);
+        findings.push({
+          kind: 'overlap',
+          selector: selectorFor(a.element),
+          context: contextFor(a.element),
+          text: a.node.textContent.trim().slice(0, 40),
+          otherText: b.node.textContent.trim().slice(0, 40),
+          otherSelector: selectorFor(b.element)
+        });
+        break;
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Turn raw layout findings into check findings
+ * @private
+ */
+function describe(finding, width) {
+  const at = `At ${width} CSS px width (400% zoom)`;
+
+  if (finding.kind === 'scroll') {
+    return {
+      technique: 'Reflow.HorizontalScroll',
+      type: 'error',
+      impact: 'serious',
+      message: finding.selector === 'html'
+        ? `${at} the page is ${finding.overflow}px wider than the viewport and scrolls horizontally. Content must reflow without scrolling in two directions.`
+        : `${at} this element extends ${finding.overflow}px past the viewport, so the page scrolls horizontally. Content must reflow without scrolling in two directions.`,
+      selector: finding.selector,
+      context: finding.context
+    };
+  }
+
+  if (finding.kind === 'clipped') {
+    return {
+      technique: 'Reflow.ClippedContent',
+      type: 'warning',
+      impact: 'serious',
+      message: `${at} ${finding.hidden}px of this element's content is cut off ${finding.direction} by overflow: ${finding.overflow}. Check that no text or functionality is lost.`,
+      selector: finding.selector,
+      context: finding.context
+    };
+  }
+
+  return {
+    technique: 'Reflow.OverlappingText',
+    type: 'warning',
+    impact: 'moderate',
+    message: `${at} the text "${finding.text}" overlaps "${finding.otherText}" (${finding.otherSelector}). Check that both remain readable.`,
+    selector: finding.selector,
+    context: finding.context
+  };
+}
+
+export const reflowCheck = {
+  id: 'reflow',
+  criterion: '1.4.10',
+  level: 'AA',
+
+  /**
+   * Narrow the page to 320 CSS px, inspect the layout and restore the viewport.
+   * Touch and mobile emulation stay as they were, so the page is not reloaded.
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @returns {Promise<Object[]>} Findings
+   */
+  async run(page) {
+    const original = page.viewport();
+    const resize = !original || original.width !== REFLOW_VIEWPORT.width;
+
+    try {
+      if (resize) {
+        await page.setViewport({ ...original, ...REFLOW_VIEWPORT });
+        await new Promise(resolve => setTimeout(resolve, RESIZE_SETTLE_MS));
+      }
+      const findings = await evaluateWithHelpers(page, inspectReflow, {
+        maxFindings: MAX_FINDINGS,
+        maxFragments: MAX_TEXT_FRAGMENTS
+      });
+      return findings.map(finding => describe(finding, REFLOW_VIEWPORT.width));
+    } finally {
+      if (resize && original) {
+        await page.setViewport(original);
+      }
+    }
+  }
+};
+
+export default reflowCheck;
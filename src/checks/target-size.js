@@ -0,0 +1,174 @@
+/**
+ * Target size check (WCAG 2.5.8 and 2.5.5): measures the rendered box of every pointer
+ * target. Targets under 24×24 CSS px fail 2.5.8 unless they are spaced far enough apart;
+ * targets under 44×44 CSS px are reported against 2.5.5, as issues with WCAG2AAA and for
+ * information below it.
+ */
+import { evaluateWithHelpers } from './dom.js';
+
+// Minimum sizes in CSS px: 2.5.8 Target Size (Minimum) and 2.5.5 Target Size (Enhanced)
+const MINIMUM_SIZE = 24;
+const ENHANCED_SIZE = 44;
+
+// Targets measured per page, and findings per kind
+const MAX_TARGETS = 1500;
+const MAX_FINDINGS = 25;
+
+/**
+ * Measure the page's pointer targets and apply the 2.5.8 spacing and inline exceptions.
+ * Runs in the page.
+ * @returns {Object[]} Targets under the enhanced size
+ *   { selector, context, width, height, undersized, spaced, inline, control, label }
+ */
+function inspectTargets({ minimum, enhanced, maxTargets }) {
+  const TARGETS = [
+    'a[href]', 'area[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+    '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]', '[role="tab"]',
+    '[role="menuitem"]', '[role="menuitemcheckbox"]', '[role="menuitemradio"]', '[role="option"]', '[role="slider"]',
+    '[onclick]', '[tabindex]:not([tabindex="-1"])'
+  ].join(', ');
+  const NATIVE_TOGGLE = 'input[type="checkbox"], input[type="radio"]';
+
+  const elements = [...document.body.querySelectorAll(TARGETS)]
+    .filter(element => !element.disabled
+      && element.getAttribute('aria-disabled') !== 'true'
+      && getComputedStyle(element).pointerEvents !== 'none'
+      && isVisible(element))
+    .slice(0, maxTargets);
+  // Content of a link or button (an icon with tabindex, say) is part of that target
+  const targets = elements
+    .filter(element => !element.parentElement?.closest('a[href], button'))
+    .map(element => ({ element, rect: element.getBoundingClientRect() }));
+
+  // Inline: a target in a sentence, whose height is set by the line it is on
+  const isInline = (element) => {
+    if (getComputedStyle(element).display !== 'inline') {
+      return false;
+    }
+    let block = element.parentElement;
+    while (block && block !== document.body && getComputedStyle(block).display === 'inline') {
+      block = block.parentElement;
+    }
+    const text = (block?.textContent || '').replace(element.textContent, '');
+    return /\p{L}{2,}/u.test(text);
+  };
+
+  // Distance from a point to the nearest edge of a box (0 inside it)
+  const distanceToBox = (x, y, rect) => Math.hypot(
+    Math.max(rect.left - x, 0, x - rect.right),
+    Math.max(rect.top - y, 0, y - rect.bottom)
+  );
+  const centerOf = (rect) => ({ x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 });
+  const undersized = (rect) => rect.width < minimum - 0.5 || rect.height < minimum - 0.5;
+
+  const results = [];
+  for (const target of targets) {
+    const { element, rect } = target;
+    if (rect.width >= enhanced - 0.5 && rect.height >= enhanced - 0.5) {
+      continue;
+    }
+
+    // Spacing: a 24 px circle on the target's center may not touch another target,
+    // nor the circle of another undersized target
+    let spaced = true;
+    if (undersized(rect)) {
+      const center = centerOf(rect);
+      spaced = !targets.some(other => {
+        if (other === target || other.element.contains(element) || element.contains(other.element)) {
+          return false;
+        }
+        if (undersized(other.rect)) {
+          const otherCenter = centerOf(other.rect);
+          return Math.hypot(center.x - otherCenter.x, center.y - otherCenter.y) < minimum;
+        }
+        return distanceToBox(center.x, center.y, other.rect) < minimum / 2;
+      });
+    }
+
+    // A label activates its checkbox or radio button, so it counts as an equivalent target
+    const label = element.matches(NATIVE_TOGGLE)
+      ? [...(element.labels || [])].some(candidate => {
+        const box = candidate.getBoundingClientRect();
+        return box.width >= minimum && box.height >= minimum;
+      })
+      : false;
+
+    results.push({
+      selector: selectorFor(element),
+      context: contextFor(element),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+      undersized: undersized(rect),
+      spaced,
+      inline: isInline(element),
+      control: element.matches(NATIVE_TOGGLE) || element.matches('select, input[type="range"], input[type="color"], input[type="file"]'),
+      label
+    });
+  }
+
+  return results;
+}
+
+export const targetSizeCheck = {
+  id: 'target-size',
+  criterion: '2.5.8',
+  level: 'AA',
+
+  /**
+   * Measure the rendered size of every pointer target and report those too small
+   * for 2.5.8 and 2.5.5 (for information only below WCAG2AAA)
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @returns {Promise<Object[]>} Findings
+   */
+  async run(page) {
+    const targets = await evaluateWithHelpers(page, inspectTargets, {
+      minimum: MINIMUM_SIZE,
+      enhanced: ENHANCED_SIZE,
+      maxTargets: MAX_TARGETS
+    });
+
+    const findings = [];
+    // Both criteria exempt targets in a sentence and equivalent targets (a label)
+    const measured = targets.filter(target => !target.inline && !target.label);
+
+    for (const target of measured.filter(candidate => candidate.undersized && !candidate.spaced).slice(0, MAX_FINDINGS)) {
+      const size = `${target.width}×${target.height} CSS px`;
+      // Unstyled native controls are sized by the browser, which 2.5.8 exempts
+      findings.push(target.control ? {
+        technique: 'TargetSize.SmallNativeControl',
+        type: 'warning',
+        impact: 'moderate',
+        review: true,
+        message: `Form control is ${size}, under the 24×24 minimum, and too close to other targets. This passes only if the browser's default size is left unchanged; otherwise enlarge it or give it a label that can be clicked.`,
+        selector: target.selector,
+        context: target.context
+      } : {
+        technique: 'TargetSize.TooSmall',
+        type: 'error',
+        impact: 'serious',
+        message: `Target is ${size}, under the 24×24 minimum, and too close to other targets for the spacing exception. Make it at least 24×24 CSS px, or keep 24 px between the centers of small targets, unless another control on the page does the same thing.`,
+        selector: target.selector,
+        context: target.context
+      });
+    }
+
+    for (const target of measured.filter(candidate => !candidate.control).slice(0, MAX_FINDINGS)) {
+      // Below WCAG2AAA the 2.5.5 status is still reported, for information
+      findings.push({
+        criterion: '2.5.5',
+        level: 'AAA',
+        informational: true,
+        technique: 'TargetSize.UnderEnhancedSize',
+        type: 'warning',
+        impact: 'minor',
+        message: `Target is ${target.width}×${target.height} CSS px, under the 44×44 size of 2.5.5 Target Size (Enhanced). Large targets help people with tremors and touch screen users.`,
+        selector: target.selector,
+        context: target.context
+      });
+    }
+
+    return findings;
+  }
+};
+
+export default targetSizeCheck;
@@ -0,0 +1,127 @@
+/**
+ * Text spacing check (WCAG 1.4.12): with the spacing users may set themselves,
+ * no text may be cut off or spill out of its container
+ */
+import { evaluateWithHelpers } from './dom.js';
+
+// The spacing values named in 1.4.12
+const TEXT_SPACING_CSS = `
+* {
+  line-height: 1.5 !important;
+  letter-spacing: 0.12em !important;
+  word-spacing: 0.16em !important;
+}
+p {
+  margin-bottom: 2em !important;
+}
+`;
+
+const SPACING_DESCRIPTION = 'text spacing from 1.4.12 (line height 1.5, paragraph spacing 2em, letter spacing 0.12em, word spacing 0.16em)';
+
+// Findings per page
+const MAX_FINDINGS = 15;
+
+/**
+ * Compare text overflow before and after applying the spacing stylesheet. Runs in the page.
+ * The stylesheet is adopted rather than injected, so a strict Content-Security-Policy
+ * does not block it, and it is removed again afterwards.
+ * @returns {Object[]} Findings { selector, context, text, clipped, direction, overflow }
+ */
+function inspectTextSpacing({ css, maxFindings }) {
+  const tolerance = 2;
+  const SKIP = 'script, style, noscript, svg, canvas, video, iframe, input, select, textarea';
+  const candidates = [...document.body.querySelectorAll('*')].filter(element => !element.closest(SKIP)
+    && element.textContent.trim()
+    && element.clientWidth > 1
+    && element.clientHeight > 1
+    && isVisible(element));
+
+  // Reading layout properties forces a synchronous relayout, so no waiting is needed
+  const measure = () => new Map(candidates.map(element => [element, {
+    x: element.scrollWidth - element.clientWidth,
+    y: element.scrollHeight - element.clientHeight
+  }]));
+
+  const before = measure();
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(css);
+  document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+
+  try {
+    const after = measure();
+    const findings = [];
+    const reported = [];
+
+    for (const element of candidates) {
+      if (findings.length >= maxFindings) {
+        break;
+      }
+      const grewX = after.get(element).x - Math.max(before.get(element).x, 0) > tolerance;
+      const grewY = after.get(element).y - Math.max(before.get(element).y, 0) > tolerance;
+      if (!grewX && !grewY) {
+        continue;
+      }
+
+      // Content in a scroll container stays reachable
+      const style = getComputedStyle(element);
+      const overflow = grewX ? style.overflowX : style.overflowY;
+      if (overflow === 'auto' || overflow === 'scroll') {
+        continue;
+      }
+      if (reported.some(outer => outer.contains(element))) {
+        continue;
+      }
+
+      reported.push(element);
+      findings.push({
+        selector: selectorFor(element),
+        context: contextFor(element),
+        text: element.textContent.trim().replace(/\s+/g, ' ').slice(0, 40),
+        clipped: overflow === 'hidden' || overflow === 'clip',
+        direction: grewX ? 'horizontally' : 'vertically',
+        overflow: Math.round(grewX ? after.get(element).x : after.get(element).y)
+      });
+    }
+
+    return findings;
+  } finally {
+    document.adoptedStyleSheets = document.adoptedStyleSheets.filter(adopted => adopted !== sheet);
+  }
+}
+
+export const textSpacingCheck = {
+  id: 'text-spacing',
+  criterion: '1.4.12',
+  level: 'AA',
+
+  /**
+   * Apply the 1.4.12 spacing, find text that overflows or is clipped compared
+   * with the unmodified render, and remove the spacing again
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @returns {Promise<Object[]>} Findings
+   */
+  async run(page) {
+    const findings = await evaluateWithHelpers(page, inspectTextSpacing, {
+      css: TEXT_SPACING_CSS,
+      maxFindings: MAX_FINDINGS
+    });
+
+    return findings.map(finding => finding.clipped ? {
+      technique: 'TextSpacing.ClippedText',
+      type: 'error',
+      impact: 'serious',
+      message: `With ${SPACING_DESCRIPTION}, ${finding.overflow}px of the text "${finding.text}" is cut off ${finding.direction}. Containers must grow with the text instead of hiding it.`,
+      selector: finding.selector,
+      context: finding.context
+    } : {
+      technique: 'TextSpacing.OverflowingText',
+      type: 'warning',
+      impact: 'moderate',
+      message: `With ${SPACING_DESCRIPTION}, the text "${finding.text}" spills ${finding.overflow}px out of its container ${finding.direction}. Check that it does not overlap other content.`,
+      selector: finding.selector,
+      context: finding.context
+    });
+  }
+};
+
+export default textSpacingCheck;
@@ -0,0 +1,76 @@
+/**
+ * Concurrency helpers for bounded parallel work
+ */
+
+export class Semaphore {
+  /**
+   * @param {number} limit - Maximum concurrent holders
+   */
+  constructor(limit) {
+    this.limit = Math.max(1, limit);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Wait for a free slot
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Release a slot, handing it to the next waiter if any
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Run a function while holding a slot
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Result of fn
+   */
+  async run(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+}
+
+/**
+ * Map items with an async function, running at most `limit` at a time.
+ * Results are returned in input order.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
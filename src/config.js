@@ -10,12 +10,72 @@ export const config = {
   // Crawling
   timeout: parseInt(process.env.TIMEOUT) || 30000,
   crawlDelay: parseInt(process.env.CRAWL_DELAY) || 1000,
+  // Upper bound (ms) for a robots.txt Crawl-delay, so one site cannot stall a tool call
+  maxCrawlDelay: parseInt(process.env.MAX_CRAWL_DELAY) || 10000,
   userAgent: process.env.USER_AGENT || 'WCAG-Analyzer/1.0 (pa11y)',
+  // Maximum number of sitemap files (including nested indexes) to read per discovery
+  maxSitemaps: parseInt(process.env.MAX_SITEMAPS) || 20,
+  // Candidate pages discovered before representative sampling picks max_pages of them
+  samplePoolSize: parseInt(process.env.SAMPLE_POOL_SIZE) || 100,
+  // Directory that analyze_wcag's path input is confined to (local build folders)
+  buildRoot: process.env.BUILD_ROOT || process.cwd(),
+  // Environment variables auth values may reference as ${NAME}, besides WCAG_AUTH_* ones
+  authEnvVars: (process.env.AUTH_ENV_VARS || '').split(',').map(name => name.trim()).filter(Boolean),
+  
+  // Parallel analysis: pages analyzed at once (browser tabs sharing one browser)
+  concurrency: parseInt(process.env.CONCURRENCY) || 1,
+  // Politeness limit: maximum pages analyzed at once on the same host
+  perHostConcurrency: parseInt(process.env.PER_HOST_CONCURRENCY) || 2,
+  
+  // Browsers shared by all tool calls (each call gets its own incognito context): at most
+  // `size` running, a browser is replaced after `recyclePages` pages or above `recycleMemoryMb`
+  browserPool: {
+    size: parseInt(process.env.BROWSER_POOL_SIZE) || 2,
+    recyclePages: parseInt(process.env.BROWSER_RECYCLE_PAGES) || 200,
+    recycleMemoryMb: parseInt(process.env.BROWSER_RECYCLE_MEMORY_MB) || 1500
+  },
+  
+  // Screenshots (enabled per call): cropped issues per page and full-page height limit
+  screenshotMaxIssues: parseInt(process.env.SCREENSHOT_MAX_ISSUES) || 10,
+  screenshotMaxHeight: parseInt(process.env.SCREENSHOT_MAX_HEIGHT) || 5000,
+  
+  // Keyboard audit: Tab presses before it stops
+  keyboardMaxTabs: parseInt(process.env.KEYBOARD_MAX_TABS) || 100,
+  // Accessibility tree tool: nodes in the outline before it is cut
+  accessibilityTreeMaxNodes: parseInt(process.env.ACCESSIBILITY_TREE_MAX_NODES) || 500,
+  // Form audit: URLs forms may submit to (comma separated, crawl include syntax) and forms per page
+  formAudit: {
+    allowSubmit: (process.env.FORM_AUDIT_ALLOW || '').split(',').map(pattern => pattern.trim()).filter(Boolean),
+    maxForms: parseInt(process.env.FORM_AUDIT_MAX_FORMS) || 5
+  },
+  
+  // Browser checks run after pa11y, comma separated; CHECKS= (empty) disables them
+  checks: (process.env.CHECKS ?? 'reflow').split(',').map(check => check.trim()).filter(Boolean),
+  
+  // Embedded content tested besides the page itself; cross-origin frames are listed as not tested
+  embedded: {
+    frames: process.env.AUDIT_FRAMES !== 'false',
+    shadowDom: process.env.AUDIT_SHADOW_DOM !== 'false'
+  },
+  
+  // Directory of rule plugins (.js/.mjs) run on every analyzed page and by check_html_code
+  pluginsDir: process.env.PLUGINS_DIR || null,
+  
+  // JSON file with issue suppressions applied to every analysis
+  suppressionsFile: process.env.SUPPRESSIONS_FILE || null,
+  
+  // Waiting for pages to finish rendering after load: 'stable' waits until DOM mutations
+  // go quiet and title/lang are set (at most maxWait), 'fixed' always sleeps PA11Y_WAIT
+  stabilization: {
+    strategy: process.env.PA11Y_WAIT_STRATEGY || 'stable',
+    quietPeriod: parseInt(process.env.STABLE_QUIET_PERIOD) || 500,
+    maxWait: parseInt(process.env.STABLE_MAX_WAIT) || 10000
+  },
   
   // pa11y configuration
   pa11yConfig: {
     timeout: parseInt(process.env.TIMEOUT) || 30000,
-    // Wait for JavaScript to execute (important for SPAs like React, Svelte, Vue)
+    // Fixed wait for JavaScript to execute with PA11Y_WAIT_STRATEGY=fixed (SPAs like React, Svelte, Vue)
     wait: parseInt(process.env.PA11Y_WAIT) || 5000,
     // Wait until page is fully loaded
     // Options: 'load', 'domcontentloaded', 'networkidle0', 'networkidle2'
@@ -46,6 +106,9 @@ export const config = {
       }
     },
     standard: process.env.WCAG_STANDARD || 'WCAG2AA',
+    // Test engines: htmlcs (HTML_CodeSniffer), axe (axe-core) or both, comma separated
+    runners: (process.env.PA11Y_RUNNERS || 'htmlcs').split(',').map(runner => runner.trim()),
+    // Screenshots are taken by ScreenshotCapture on the analyzed page instead
     screenCapture: false,
     includeNotices: false,
     includeWarnings: true,
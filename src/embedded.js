@@ -0,0 +1,279 @@
+/**
+ * Embedded content pa11y does not reach on its own: same-origin iframes and open shadow roots.
+ * Frames are tested with the selected pa11y runners, injected into the frame the way pa11y
+ * injects them into the page. Shadow roots are tested with axe-core, since HTML_CodeSniffer
+ * cannot look into them. Findings record the path to their frame or shadow host in the
+ * selector, e.g. "iframe#booking >>> #submit" or "booking-widget >>> button".
+ */
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { contextFor, evaluateOnElement, evaluateWithHelpers, selectorFor } from './checks/dom.js';
+import config from './config.js';
+import logger from './logger.js';
+
+const require = createRequire(import.meta.url);
+const { version: PA11Y_VERSION } = require('pa11y/package.json');
+
+// Joins the frame and shadow host selectors leading to an element
+export const PATH_SEPARATOR = ' >>> ';
+
+// Runner bundles, read once like pa11y does
+const scripts = {};
+
+/**
+ * Script defining window.__pa11y and the bundle for each runner, as pa11y builds them
+ * @param {string[]} runners - pa11y runners
+ * @returns {Promise<Object>} { pa11y, [runner]: script }
+ */
+async function loadRunnerScripts(runners) {
+  if (!scripts.pa11y) {
+    scripts.pa11y = await readFile(require.resolve('pa11y/lib/runner.js'), 'utf8');
+  }
+  for (const runner of runners) {
+    if (!scripts[runner]) {
+      const { scripts: files, run } = require(`pa11y/lib/runners/${runner}.js`);
+      const bundle = (await Promise.all(files.map(file => readFile(file, 'utf8')))).join('\n\n');
+      scripts[runner] = `;${bundle};\n;window.__pa11y.runners['${runner}'] = ${run.toString()};`;
+    }
+  }
+  if (!scripts.axeCore) {
+    scripts.axeCore = await readFile(require.resolve('axe-core/axe.min.js'), 'utf8');
+  }
+  return scripts;
+}
+
+/**
+ * Test open shadow roots with axe-core. Runs in the page (or frame).
+ * @returns {Object} { hosts, issues, misattributed }
+ */
+async function auditShadowRoots(standard, separator) {
+  // Outermost hosts; axe follows nested shadow roots itself
+  const allHosts = [...document.querySelectorAll('*')].filter(element => element.shadowRoot);
+  const hosts = allHosts.filter(host => !allHosts.some(outer => outer !== host && outer.contains(host)));
+  if (hosts.length === 0) {
+    return { hosts: 0, issues: [], misattributed: [] };
+  }
+
+  // Same rule selection and levels as pa11y's axe runner
+  const { violations, incomplete } = await window.axe.run({ include: hosts }, {
+    iframes: false,
+    runOnly: {
+      type: 'tags',
+      values: ['wcag2a', 'wcag21a', ...(standard === 'WCAG2A' ? [] : ['wcag2aa', 'wcag21aa']), 'best-practice']
+    }
+  });
+  const LEVELS = { critical: 'error', serious: 'error', moderate: 'warning', minor: 'notice' };
+
+  const issues = [];
+  const misattributed = [];
+  for (const [results, needsFurtherReview] of [[violations, false], [incomplete, true]]) {
+    for (const { id, description, help, helpUrl, impact, nodes } of results) {
+      for (const node of nodes) {
+        // Targets inside a shadow root end with a list of selectors, host first
+        const last = node.target[node.target.length - 1];
+        if (!Array.isArray(last)) {
+          continue;
+        }
+
+        let root = document;
+        let element = null;
+        const path = [];
+        for (const part of last) {
+          element = root?.querySelector(part);
+          if (!element) {
+            break;
+          }
+          path.push(selectorFor(element));
+          root = element.shadowRoot;
+        }
+        if (!element) {
+          continue;
+        }
+
+        issues.push({
+          code: id,
+          type: LEVELS[impact] || 'error',
+          typeCode: { error: 1, warning: 2, notice: 3 }[LEVELS[impact] || 'error'],
+          message: `${help} (${helpUrl})`,
+          context: contextFor(element),
+          selector: path.join(separator),
+          runner: 'axe',
+          runnerExtras: { description, impact, needsFurtherReview, help, helpUrl }
+        });
+
+        // pa11y's axe runner joins these selectors into one document query and reports
+        // the finding on whatever that matches (usually the host)
+        try {
+          const joined = document.querySelector(node.target.join(' '));
+          if (joined) {
+            misattributed.push(`${id}|${selectorFor(joined)}`);
+          }
+        } catch {
+          // Not a valid selector once joined; pa11y reports no element either
+        }
+      }
+    }
+  }
+
+  return { hosts: hosts.length, issues, misattributed };
+}
+
+/**
+ * Origin a frame's content runs in; about:blank and srcdoc frames inherit their parent's
+ * @private
+ */
+function originOf(frame) {
+  for (let current = frame; current; current = current.parentFrame()) {
+    const url = current.url();
+    if (url && !url.startsWith('about:')) {
+      try {
+        return new URL(url).origin;
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Selectors of the frame elements leading from the top document to a frame
+ * @private
+ */
+async function framePath(frame) {
+  const path = [];
+  for (let current = frame; current.parentFrame(); current = current.parentFrame()) {
+    let selector;
+    try {
+      const element = await current.frameElement();
+      selector = element ? await evaluateOnElement(element, element => selectorFor(element)) : null;
+    } catch {
+      selector = null;
+    }
+    path.unshift(selector || `iframe[src="${current.url()}"]`);
+  }
+  return path;
+}
+
+/**
+ * Run the pa11y runners inside a frame
+ * @private
+ */
+async function runPa11yInFrame(frame, standard, runners) {
+  const bundles = await loadRunnerScripts(runners);
+  await frame.evaluate(bundles.pa11y);
+  for (const runner of runners) {
+    await frame.evaluate(bundles[runner]);
+  }
+
+  // Same options pa11y passes to its runners for the page
+  const { includeNotices, includeWarnings } = config.pa11yConfig;
+  const results = await frame.evaluate(runOptions => window.__pa11y.run(runOptions), {
+    pa11yVersion: PA11Y_VERSION,
+    hideElements: null,
+    ignore: [...(includeNotices ? [] : ['notice']), ...(includeWarnings ? [] : ['warning'])],
+    levelCapWhenNeedsReview: 'error',
+    rootElement: null,
+    rules: [],
+    runners,
+    standard,
+    wait: 0
+  });
+  return results.issues;
+}
+
+/**
+ * Test same-origin frames and open shadow roots of a page pa11y has analyzed
+ * @param {import('puppeteer').Page} page - Page pa11y analyzed (still open)
+ * @param {Object} options - Options
+ * @param {string} options.standard - WCAG standard
+ * @param {string[]} options.runners - pa11y runners used for frames
+ * @param {boolean} [options.frames=true] - Test same-origin frames
+ * @param {boolean} [options.shadowDom=true] - Test open shadow roots
+ * @returns {Promise<Object>} { issues, misattributed, framesTested, shadowHosts, untestedFrames }
+ *   `misattributed` holds "code|selector" keys of the page's own axe issues that belong to
+ *   shadow DOM content and are reported again here with their real path
+ */
+export async function analyzeEmbedded(page, options) {
+  const { standard, runners, frames = true, shadowDom = true } = options;
+  const mainFrame = page.mainFrame();
+  const topOrigin = originOf(mainFrame);
+  const { includeNotices, includeWarnings } = config.pa11yConfig;
+  const included = (issue) => (includeNotices || issue.type !== 'notice') && (includeWarnings || issue.type !== 'warning');
+
+  const issues = [];
+  const misattributed = new Set();
+  const untestedFrames = [];
+  let framesTested = 0;
+  let shadowHosts = 0;
+
+  // Documents to look for shadow roots in: the page and each tested frame
+  const documents = [{ frame: mainFrame, path: [], frameIssues: null }];
+
+  if (frames) {
+    const skipped = new Set();
+    for (const frame of page.frames()) {
+      if (frame === mainFrame || frame.detached) {
+        continue;
+      }
+      // Frames inside an untested frame are covered by its entry
+      if (skipped.has(frame.parentFrame())) {
+        skipped.add(frame);
+        continue;
+      }
+
+      const path = await framePath(frame);
+      if (originOf(frame) !== topOrigin) {
+        untestedFrames.push({ selector: path.join(PATH_SEPARATOR), url: frame.url(), reason: 'cross-origin' });
+        skipped.add(frame);
+        continue;
+      }
+
+      try {
+        const frameIssues = (await runPa11yInFrame(frame, standard, runners))
+          // A framed document's own title is never announced as the page title (2.4.2)
+          .filter(issue => !/\.2_4_2\./.test(issue.code) && !(issue.runner === 'axe' && issue.code === 'document-title'));
+        documents.push({ frame, path, frameIssues });
+        framesTested++;
+      } catch (error) {
+        logger.warn(`Frame ${path.join(PATH_SEPARATOR)} could not be tested: ${error.message}`);
+        untestedFrames.push({ selector: path.join(PATH_SEPARATOR), url: frame.url(), reason: error.message });
+        skipped.add(frame);
+      }
+    }
+  }
+
+  for (const { frame, path, frameIssues } of documents) {
+    const prefix = (selector) => [...path, selector].filter(Boolean).join(PATH_SEPARATOR);
+    let frameMisattributed = new Set();
+
+    if (shadowDom) {
+      try {
+        if (!await frame.evaluate(() => Boolean(window.axe))) {
+          await frame.evaluate((await loadRunnerScripts([])).axeCore);
+        }
+        const shadow = await evaluateWithHelpers(frame, auditShadowRoots, standard, PATH_SEPARATOR);
+        shadowHosts += shadow.hosts;
+        issues.push(...shadow.issues.filter(included).map(issue => ({ ...issue, selector: prefix(issue.selector) })));
+        frameMisattributed = new Set(shadow.misattributed);
+      } catch (error) {
+        logger.warn(`Shadow DOM check failed${path.length ? ` in ${path.join(PATH_SEPARATOR)}` : ''}: ${error.message}`);
+      }
+    }
+
+    if (frameIssues) {
+      issues.push(...frameIssues
+        .filter(issue => !(issue.runner === 'axe' && frameMisattributed.has(`${issue.code}|${issue.selector}`)))
+        .map(issue => ({ ...issue, selector: prefix(issue.selector) })));
+    } else {
+      frameMisattributed.forEach(key => misattributed.add(key));
+    }
+  }
+
+  if (framesTested || shadowHosts || untestedFrames.length) {
+    logger.info(`  Embedded content: ${framesTested} frames, ${shadowHosts} shadow hosts tested, ${untestedFrames.length} frames not tested`);
+  }
+  return { issues, misattributed, framesTested, shadowHosts, untestedFrames };
+}
+
+export default analyzeEmbedded;
@@ -0,0 +1,535 @@
+/**
+ * Form audit: submit forms empty and with invalid values in an isolated browser context
+ * and check how errors are presented, against 3.3.1 Error Identification and
+ * 3.3.3 Error Suggestion. HTTP requests a submission makes are blocked unless their URL
+ * is in the allow-list. WebSocket traffic bypasses request interception and is not blocked.
+ */
+import { browserPool } from './browser-pool.js';
+import { isLevelIncluded, toIssue } from './checks/index.js';
+import { evaluateWithHelpers } from './checks/dom.js';
+import config from './config.js';
+import logger from './logger.js';
+import { openPage } from './page-loader.js';
+import { getCriteria } from './runners.js';
+import { settlePage } from './stabilizer.js';
+import UrlFilter from './url-filter.js';
+
+// Issues are reported with this tool as test engine
+const FORM_RUNNER = { id: 'form' };
+
+// Conformance level of each criterion the audit tests
+const CRITERIA_LEVELS = { '3.3.1': 'A', '3.3.3': 'AA' };
+
+// Requests that can carry a submission; scripts, styles and images load freely.
+// WebSockets never reach request interception, so they cannot be listed here.
+const SUBMISSION_TYPES = ['document', 'xhr', 'fetch', 'ping', 'eventsource', 'other'];
+
+// Time for a submission to start a navigation before the page is inspected in place
+const NAVIGATION_GRACE_MS = 1000;
+
+// Values that fail the format of typed fields
+const INVALID_VALUES = { email: 'not-an-email', url: 'not a url', tel: 'abc', number: 'abc', pattern: '#' };
+
+// Values for other text fields in the invalid-value pass, so only format errors remain
+const FILLER_TEXT = 'Test';
+
+/**
+ * Whether a request URL is in the submission allow-list. Path patterns (`/contact/**`) only
+ * match the audited site; full URLs and `regex:` patterns match any site.
+ * @param {string[]} patterns - Allow-list in crawl include syntax
+ * @param {string} origin - Origin of the audited page
+ * @returns {Function} (url) => boolean; nothing is allowed with an empty list
+ */
+function compileAllowList(patterns, origin) {
+  const anySite = patterns.filter(pattern => pattern.includes('://') || pattern.startsWith('regex:'));
+  const sameSiteFilter = patterns.length > 0 ? new UrlFilter({ include: patterns, stripParams: [] }) : null;
+  const anySiteFilter = anySite.length > 0 ? new UrlFilter({ include: anySite, stripParams: [] }) : null;
+
+  return (url) => {
+    try {
+      const filter = new URL(url).origin === origin ? sameSiteFilter : anySiteFilter;
+      return Boolean(filter?.matches(url));
+    } catch {
+      return false;
+    }
+  };
+}
+
+/**
+ * Describe the forms on the page. Runs in the page.
+ * @returns {Object[]} Forms { selector, context, action, method, fields, required, formatted, search }
+ */
+function inventoryForms(only) {
+  const FIELDS = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+  return [...document.querySelectorAll('form')]
+    .filter(form => isVisible(form) && (!only || form.matches(only)))
+    .map(form => {
+      const fields = [...form.querySelectorAll(FIELDS)].filter(field => isVisible(field) && !field.disabled);
+      return {
+        selector: selectorFor(form),
+        context: contextFor(form),
+        action: form.action,
+        method: (form.getAttribute('method') || 'get').toLowerCase(),
+        fields: fields.length,
+        required: fields.filter(field => field.required || field.getAttribute('aria-required') === 'true').length,
+        formatted: fields.filter(field => ['email', 'url', 'tel', 'number'].includes(field.type) || field.hasAttribute('pattern')).length,
+        search: form.getAttribute('role') === 'search' || form.closest('[role="search"], search') !== null
+          || (fields.length > 0 && fields.every(field => field.type === 'search'))
+      };
+    })
+    .filter(form => form.fields > 0);
+}
+
+/**
+ * Remember the form's state and watch for announcements before submitting. Runs in the page.
+ * @returns {Object} { submit: selector of the submit button or null, fields: [{ selector, kind }] }
+ */
+function prepareSubmission(formSelector) {
+  const FIELDS = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+  const LIVE = '[aria-live]:not([aria-live="off"]), [role="alert"], [role="status"], [role="log"], output';
+  const form = document.querySelector(formSelector);
+
+  const state = {
+    before: new Map([...document.body.querySelectorAll('*')].map(element => [element, {
+      visible: isVisible(element),
+      text: element.textContent.trim()
+    }])),
+    announcements: [],
+    submitted: false,
+    invalidEvents: 0
+  };
+
+  // Text added to live regions, and alerts inserted into the page, are announced
+  new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      const target = mutation.target.nodeType === 1 ? mutation.target : mutation.target.parentElement;
+      const added = [...mutation.addedNodes].filter(node => node.nodeType === 1);
+      const region = target?.closest(LIVE) || added.find(node => node.matches(LIVE) || node.querySelector(LIVE));
+      const text = region?.textContent.trim();
+      if (text && !state.announcements.includes(text)) {
+        state.announcements.push(text);
+      }
+    }
+  }).observe(document.body, { subtree: true, childList: true, characterData: true });
+
+  // The submit event only fires once native validation has passed
+  document.addEventListener('submit', () => {
+    state.submitted = true;
+  }, true);
+  form.addEventListener('invalid', () => {
+    state.invalidEvents++;
+  }, true);
+  window.__wcagFormAudit = state;
+
+  const submit = [...form.querySelectorAll('button, input[type="submit"], input[type="image"]'), ...(form.id ? document.querySelectorAll(`[form="${CSS.escape(form.id)}"]`) : [])]
+    .find(button => (button.tagName === 'BUTTON' ? (button.getAttribute('type') || 'submit') === 'submit' : true) && isVisible(button));
+
+  return {
+    submit: submit ? selectorFor(submit) : null,
+    fields: [...form.querySelectorAll(FIELDS)]
+      .filter(field => isVisible(field) && !field.disabled && !field.readOnly)
+      .map(field => ({
+        selector: selectorFor(field),
+        kind: ['email', 'url', 'tel', 'number'].includes(field.type) ? field.type
+          : field.hasAttribute('pattern') ? 'pattern'
+            : ['text', 'textarea', 'password', 'search', ''].includes(field.type) || field.tagName === 'TEXTAREA' ? 'text' : 'other'
+      }))
+  };
+}
+
+/**
+ * Inspect the page after a submission. Runs in the page (also a new page after a navigation).
+ * @returns {Object} { navigated, nativeValidation, messages, invalidFields, ariaInvalid, focus, announcements }
+ */
+function inspectSubmission({ formSelector, submitSelector }) {
+  const FIELDS = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+  const ERROR_TEXT = /error|invalid|required|must|missing|please|enter|select|feil|ugyldig|påkrevd|obligatorisk|må|mangler|vennligst|fyll ut|oppgi|velg/i;
+  const ERROR_HINT = /error|invalid|feil|danger|alert/i;
+  const state = window.__wcagFormAudit || null;
+  const form = document.querySelector(formSelector);
+  const fields = form ? [...form.querySelectorAll(FIELDS)].filter(field => isVisible(field)) : [];
+
+  // Error messages: text that appeared (or changed) with the submission and reads like an error.
+  // After a navigation there is no earlier state, so alerts and error-styled text count.
+  const ownText = (element) => [...element.childNodes]
+    .filter(node => node.nodeType === 3)
+    .map(node => node.textContent.trim())
+    .join(' ')
+    .trim();
+  const candidates = [...document.body.querySelectorAll('*')].filter(element => {
+    if (element.matches(FIELDS) || !isVisible(element)) {
+      return false;
+    }
+    const text = element.textContent.replace(/\s+/g, ' ').trim();
+    if (text.length < 2 || text.length > 300 || !ownText(element)) {
+      return false;
+    }
+    const hinted = ERROR_HINT.test(`${element.className} ${element.id}`) || Boolean(element.closest('[role="alert"]'));
+    if (state) {
+      const before = state.before.get(element);
+      const changed = !before || !before.visible || before.text !== element.textContent.trim();
+      return changed && (hinted || ERROR_TEXT.test(text));
+    }
+    return hinted && (form ? form.contains(element) || element.closest('[role="alert"]') : true);
+  });
+  // Innermost only: a container of a message is not another message
+  const messageElements = candidates.filter(element => !candidates.some(other => other !== element && element.contains(other)));
+
+  // Tied to a field: referenced by aria-describedby or aria-errormessage, or part of its label
+  const references = (field) => ['aria-describedby', 'aria-errormessage']
+    .flatMap(attribute => (field.getAttribute(attribute) || '').split(/\s+/).filter(Boolean))
+    .map(id => document.getElementById(id))
+    .filter(Boolean);
+  const fieldOf = (message) => fields.find(field => references(field).some(target => target.contains(message) || message.contains(target))
+    || [...(field.labels || [])].some(label => label.contains(message)));
+
+  const messages = messageElements.slice(0, 20).map(element => {
+    const field = fieldOf(element);
+    return {
+      selector: selectorFor(element),
+      context: contextFor(element),
+      text: element.textContent.replace(/\s+/g, ' ').trim().slice(0, 160),
+      linked: Boolean(field),
+      field: field ? selectorFor(field) : null,
+      fieldKind: field ? (field.hasAttribute('pattern') ? 'pattern' : field.type) : null
+    };
+  });
+
+  const invalidFields = fields.filter(field => field.getAttribute('aria-invalid') === 'true' || (field.willValidate && !field.validity.valid));
+  const ariaInvalid = fields.filter(field => field.getAttribute('aria-invalid') === 'true').length;
+
+  // Where focus went: the first invalid field, an error message or summary, or nowhere useful
+  let active = document.activeElement;
+  while (active?.shadowRoot?.activeElement) {
+    active = active.shadowRoot.activeElement;
+  }
+  let focus = 'none';
+  if (active && active !== document.body && active !== document.documentElement) {
+    if (invalidFields.includes(active)) {
+      focus = active === invalidFields[0] ? 'first-error' : 'other-error';
+    } else if (messageElements.some(element => element.contains(active) || active.contains(element)) || active.closest('[role="alert"]')) {
+      focus = 'message';
+    } else if (submitSelector && active.matches(submitSelector)) {
+      focus = 'submit';
+    } else {
+      focus = 'other';
+    }
+  }
+
+  return {
+    navigated: !state,
+    nativeValidation: Boolean(state && !state.submitted && state.invalidEvents > 0),
+    messages,
+    invalidFields: invalidFields.length,
+    ariaInvalid,
+    focus,
+    focusSelector: focus === 'none' ? null : selectorFor(active),
+    announcements: state ? state.announcements.slice(0, 10) : []
+  };
+}
+
+export class FormAuditor {
+  /**
+   * @param {string} standard - WCAG standard (WCAG2A, WCAG2AA, WCAG2AAA)
+   * @param {Object} [options] - Audit options
+   * @param {AuthSession} [options.session] - Authenticated session applied to the page
+   * @param {string[]} [options.allowSubmit] - URLs forms may submit to (crawl include syntax);
+   *   paths like `/contact/**` only match the audited site, full URLs and `regex:` any site
+   * @param {number} [options.maxForms] - Forms tested per page
+   */
+  constructor(standard = 'WCAG2AA', options = {}) {
+    this.lease = null;
+    this.browser = null;
+    this.context = null;
+    this.standard = standard;
+    this.session = options.session || null;
+    this.allowSubmit = options.allowSubmit || config.formAudit.allowSubmit;
+    this.maxForms = options.maxForms || config.formAudit.maxForms;
+  }
+
+  /**
+   * Lease an incognito context on a shared browser
+   */
+  async init() {
+    if (!this.lease) {
+      this.lease = await browserPool.acquire();
+      this.browser = this.lease.browser;
+      this.context = this.lease.context;
+    }
+  }
+
+  /**
+   * Find the forms on a page, submit each empty (and with invalid values when it has
+   * typed fields) and check the error messages, their field association, focus and announcements
+   * @param {string} url - URL to audit
+   * @param {string} [formSelector] - Only this form
+   * @returns {Promise<Object>} { url, pageTitle, forms, blocked, allowSubmit, issues, timestamp }
+   */
+  async audit(url, formSelector) {
+    await this.init();
+    logger.info(`Form audit: ${url}${formSelector ? ` (${formSelector})` : ''}, submissions allowed to: ${this.allowSubmit.join(', ') || 'none'}`);
+
+    const isAllowed = compileAllowList(this.allowSubmit, new URL(url).origin);
+
+    const blocked = [];
+    const page = await openPage(this.context, url, { session: this.session });
+    let pageTitle;
+    let found;
+    try {
+      pageTitle = await page.title();
+      found = await evaluateWithHelpers(page, inventoryForms, formSelector || null);
+    } finally {
+      await page.close().catch(() => {});
+    }
+
+    if (formSelector && found.length === 0) {
+      throw new Error(`No visible form matches selector "${formSelector}"`);
+    }
+
+    const forms = [];
+    for (const form of found) {
+      if (forms.filter(tested => tested.attempts).length >= this.maxForms) {
+        forms.push({ ...form, skipped: 'limit' });
+        continue;
+      }
+      if (form.search && !formSelector) {
+        forms.push({ ...form, skipped: 'search' });
+        continue;
+      }
+
+      const attempts = [await this._submit(url, form, 'empty', { isAllowed, blocked })];
+      if (form.formatted > 0) {
+        attempts.push(await this._submit(url, form, 'invalid', { isAllowed, blocked }));
+      }
+      forms.push({ ...form, attempts });
+    }
+
+    const findings = forms.filter(form => form.attempts).flatMap(form => this._check(form));
+    logger.info(`Form audit complete: ${forms.filter(form => form.attempts).length} forms tested, ${findings.length} findings, ${blocked.length} requests blocked`);
+
+    return {
+      url,
+      pageTitle,
+      forms: forms.map(form => ({ ...form, context: this._redact(form.context) })),
+      blocked,
+      allowSubmit: this.allowSubmit,
+      issues: findings
+        .filter(finding => isLevelIncluded(CRITERIA_LEVELS[finding.criterion], this.standard))
+        .map(finding => this._toIssue(finding)),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Load the page fresh, fill the form for a strategy, submit it and inspect the result
+   * @private
+   * @param {string} strategy - 'empty' (nothing filled in) or 'invalid' (typed fields get invalid values)
+   * @param {Object} guard - { isAllowed(url), blocked: list that blocked requests are added to }
+   * @returns {Promise<Object>} Attempt { strategy, submitButton, blocked, ...inspectSubmission }
+   */
+  async _submit(url, form, strategy, { isAllowed, blocked }) {
+    // Cookies and storage set by earlier submissions stay in this call's own context.
+    // Service workers are bypassed, since their fetches would pass the request guard unseen.
+    const page = await openPage(this.context, url, { session: this.session, bypassServiceWorker: true });
+    try {
+      // From here on nothing leaves the page unless the allow-list permits it: not the
+      // submission, and not autosave, live validation or beacons sent while fields are filled
+      const blockedHere = [];
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        if (request.isInterceptResolutionHandled()) {
+          return;
+        }
+        const submission = request.method() !== 'GET' || SUBMISSION_TYPES.includes(request.resourceType());
+        if (submission && !isAllowed(request.url())) {
+          blockedHere.push({ method: request.method(), url: request.url() });
+          request.abort('blockedbyclient', 0).catch(() => {});
+        } else {
+          // Cooperative, so the session's per-request headers are kept
+          request.continue(request.continueRequestOverrides(), 0).catch(() => {});
+        }
+      });
+
+      const prepared = await evaluateWithHelpers(page, prepareSubmission, form.selector);
+      if (strategy === 'invalid') {
+        for (const field of prepared.fields) {
+          const value = INVALID_VALUES[field.kind] || (field.kind === 'text' ? FILLER_TEXT : null);
+          if (value !== null) {
+            await page.type(field.selector, value).catch(error => logger.debug(`Could not fill ${field.selector}: ${error.message}`));
+          }
+        }
+      }
+
+      const navigation = page.waitForNavigation({
+        waitUntil: config.pa11yConfig.waitUntil,
+        timeout: config.pa11yConfig.timeout
+      }).then(() => true, () => false);
+      if (prepared.submit) {
+        await page.click(prepared.submit);
+      } else {
+        await page.$eval(form.selector, element => element.requestSubmit());
+      }
+
+      // A submission either navigates or updates the page in place
+      if (await Promise.race([navigation, new Promise(resolve => setTimeout(() => resolve(false), NAVIGATION_GRACE_MS))])) {
+        await navigation;
+      }
+      await settlePage(page);
+
+      const result = await evaluateWithHelpers(page, inspectSubmission, {
+        formSelector: form.selector,
+        submitSelector: prepared.submit
+      });
+      blocked.push(...blockedHere.map(request => ({ ...request, form: form.selector })));
+
+      return {
+        strategy,
+        submitButton: prepared.submit,
+        blocked: blockedHere.length,
+        ...result,
+        messages: result.messages.map(message => ({ ...message, text: this._redact(message.text), context: this._redact(message.context) })),
+        announcements: result.announcements.map(text => this._redact(text))
+      };
+    } catch (error) {
+      logger.warn(`Form ${form.selector} (${strategy}) could not be submitted: ${error.message}`);
+      return { strategy, error: this._redact(error.message) };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Findings for one form from its submission attempts
+   * @private
+   */
+  _check(form) {
+    const findings = [];
+    const at = { selector: form.selector, context: form.context };
+
+    for (const attempt of form.attempts.filter(candidate => !candidate.error)) {
+      const pass = attempt.strategy === 'empty' ? 'Submitting the form empty' : 'Submitting the form with invalid values';
+      const shown = attempt.messages.length > 0;
+
+      // The browser's own validation bubbles identify the field and are announced
+      if (attempt.nativeValidation && !shown) {
+        continue;
+      }
+
+      if (!shown) {
+        if (attempt.blocked > 0) {
+          continue;
+        }
+        const expectErrors = attempt.strategy === 'invalid' || form.required > 0 || attempt.invalidFields > 0;
+        if (expectErrors) {
+          findings.push({
+            ...at,
+            criterion: '3.3.1',
+            technique: 'Form.NoErrorMessage',
+            type: attempt.navigated && attempt.strategy === 'empty' ? 'warning' : 'error',
+            impact: 'serious',
+            message: attempt.navigated
+              ? `${pass} led to a new page without a recognizable error message. Check that the page explains what went wrong.`
+              : `${pass} showed no error message. Users are not told which fields need correcting.`
+          });
+        }
+        continue;
+      }
+
+      // Messages screen readers only reach by browsing the page
+      for (const message of attempt.messages.filter(candidate => !candidate.linked)) {
+        findings.push({
+          selector: message.selector,
+          context: message.context,
+          criterion: '3.3.1',
+          technique: 'Form.ErrorNotAssociated',
+          type: 'warning',
+          impact: 'serious',
+          message: `Error message "${message.text}" is not tied to a field with aria-describedby or aria-errormessage, so screen readers do not read it with the field.`
+        });
+      }
+
+      if (attempt.ariaInvalid === 0) {
+        findings.push({
+          ...at,
+          criterion: '3.3.1',
+          technique: 'Form.NoAriaInvalid',
+          type: 'warning',
+          impact: 'moderate',
+          message: `${pass} showed error messages, but no field is marked aria-invalid="true", so screen readers do not say which fields are in error.`
+        });
+      }
+
+      const focusHelps = ['first-error', 'message'].includes(attempt.focus);
+      if (!focusHelps && attempt.announcements.length === 0) {
+        findings.push({
+          ...at,
+          criterion: '3.3.1',
+          technique: 'Form.ErrorsNotAnnounced',
+          type: 'error',
+          impact: 'serious',
+          message: `${pass} showed errors, but focus ${attempt.focus === 'submit' ? 'stayed on the submit button' : attempt.focus === 'none' ? 'was lost' : 'did not move to them'} and no live region announced them. Screen reader users do not learn that the submission failed.`
+        });
+      } else if (attempt.focus === 'other-error') {
+        findings.push({
+          ...at,
+          criterion: '3.3.1',
+          technique: 'Form.FocusNotFirstError',
+          type: 'warning',
+          impact: 'moderate',
+          message: `${pass} moved focus to a field in error, but not the first one.`
+        });
+      }
+
+      // With a known format the message should say how to fix the value
+      if (attempt.strategy === 'invalid') {
+        for (const message of attempt.messages.filter(candidate => ['email', 'url', 'tel', 'number', 'pattern'].includes(candidate.fieldKind))) {
+          if (message.text.split(/\s+/).length <= 3) {
+            findings.push({
+              selector: message.selector,
+              context: message.context,
+              criterion: '3.3.3',
+              technique: 'Form.NoErrorSuggestion',
+              type: 'warning',
+              impact: 'moderate',
+              message: `Error message "${message.text}" for the ${message.fieldKind} field does not suggest a correction. Say what format is expected, e.g. "Enter an email address like name@example.com".`
+            });
+          }
+        }
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * @private
+   */
+  _toIssue(finding) {
+    const issue = toIssue(FORM_RUNNER, finding, this.standard);
+    issue.message = this._redact(issue.message);
+    issue.context = this._redact(issue.context);
+    return { ...issue, criteria: getCriteria(issue), runners: [issue.runner] };
+  }
+
+  /**
+   * Keep session secrets (e.g. prefilled user data) out of reports
+   * @private
+   */
+  _redact(text) {
+    return this.session && text ? this.session.redact(text) : text;
+  }
+
+  /**
+   * Close the context and return the browser to the pool
+   */
+  async close() {
+    if (this.lease) {
+      await this.lease.release();
+      this.lease = null;
+      this.browser = null;
+      this.context = null;
+    }
+  }
+}
+
+export default FormAuditor;
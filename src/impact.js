@@ -0,0 +1,103 @@
+/**
+ * Impact levels for accessibility issues
+ * axe-core reports impact itself; HTML_CodeSniffer codes use a curated mapping
+ */
+
+// Most severe first
+export const IMPACT_LEVELS = ['critical', 'serious', 'moderate', 'minor'];
+
+// HTML_CodeSniffer technique codes by impact, matched against "<criterion>.<technique>"
+// First match wins, so specific codes come before the broader ones
+const HTMLCS_IMPACT = [
+  // Content or controls that cannot be perceived or operated at all
+  [/1_1_1\.(H30\.2|H37|H36|H24|G94\.Button)/, 'critical'],
+  [/1_3_1\.F68/, 'critical'],
+  [/2_1_2\.F10/, 'critical'],
+  [/4_1_2\.H91\.(A\.NoContent|A\.EmptyNoId|[A-Za-z]+\.Name)/, 'critical'],
+
+  // Major barriers with a workaround
+  [/1_4_(3|6)\.(G18|G145|G17)/, 'serious'],
+  [/2_4_2\.H25/, 'serious'],
+  [/3_1_1\.H57/, 'serious'],
+  [/1_3_1\.(H39|H43|H44|H63|H71)/, 'serious'],
+  [/2_1_1\.SCR20/, 'serious'],
+  [/2_2_1\.(F40|F41)/, 'serious'],
+  [/2_2_2\.(F4|F47)/, 'serious'],
+  [/3_2_2\.H32/, 'serious'],
+  [/4_1_2\.H91/, 'serious'],
+
+  // Structure and navigation problems
+  [/1_3_1(_A)?\.(H42|G141|H48|ARIA6)/, 'moderate'],
+  [/1_4_3_F24/, 'moderate'],
+  [/2_4_1\.H64/, 'moderate'],
+  [/2_4_4\./, 'moderate'],
+  [/3_1_2\.H58/, 'moderate'],
+
+  // Annoyances and code quality
+  [/1_1_1\.(H67|H2)/, 'minor'],
+  [/1_3_1\.H49/, 'minor'],
+  [/4_1_1\.F77/, 'minor'],
+  [/2_4_8\.H59/, 'minor']
+];
+
+// Fallback for codes without a curated impact
+const TYPE_IMPACT = { error: 'serious', warning: 'moderate', notice: 'minor' };
+
+/**
+ * Determine the impact of an issue
+ * @param {Object} issue - pa11y issue (merged or single runner)
+ * @returns {string} 'critical', 'serious', 'moderate' or 'minor'
+ */
+export function getImpact(issue) {
+  if (IMPACT_LEVELS.includes(issue.impact)) {
+    return issue.impact;
+  }
+  if (IMPACT_LEVELS.includes(issue.runnerExtras?.impact)) {
+    return issue.runnerExtras.impact;
+  }
+
+  const codes = issue.codes || [issue.code];
+  for (const [pattern, impact] of HTMLCS_IMPACT) {
+    if (codes.some(code => pattern.test(code || ''))) {
+      return impact;
+    }
+  }
+
+  return TYPE_IMPACT[issue.type?.toLowerCase()] || 'minor';
+}
+
+/**
+ * Compare two impact levels for sorting, most severe first
+ * @param {string} a - Impact level
+ * @param {string} b - Impact level
+ * @returns {number} Sort order
+ */
+export function compareImpact(a, b) {
+  const rank = (impact) => {
+    const index = IMPACT_LEVELS.indexOf(impact);
+    return index === -1 ? IMPACT_LEVELS.length : index;
+  };
+  return rank(a) - rank(b);
+}
+
+/**
+ * Compare two issues for a report: most severe first, or by their first WCAG success
+ * criterion in numeric order (1.4.3 before 1.4.10), most severe first within a criterion
+ * @param {Object} a - Issue with impact and criteria
+ * @param {Object} b - Issue with impact and criteria
+ * @param {string} sortBy - 'impact' or 'criterion'
+ * @returns {number} Sort order
+ */
+export function compareIssues(a, b, sortBy) {
+  if (sortBy === 'criterion') {
+    const [first, second] = [a.criteria?.[0], b.criteria?.[0]];
+    if (first !== second) {
+      // Issues without a criterion go last
+      if (!first || !second) {
+        return first ? -1 : 1;
+      }
+      return first.localeCompare(second, undefined, { numeric: true });
+    }
+  }
+  return compareImpact(a.impact, b.impact);
+}
@@ -13,10 +13,20 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 import express from 'express';
 import cors from 'cors';
+import AccessibilityTreeInspector from './accessibility-tree.js';
 import WCAGAnalyzer from './analyzer.js';
-import logger from './logger.js';
+import AuthSession from './auth.js';
+import { browserPool } from './browser-pool.js';
+import FormAuditor from './forms.js';
+import { compareImpact, compareIssues } from './impact.js';
+import KeyboardAuditor from './keyboard.js';
+import logger, { redactSecrets } from './logger.js';
+import PageStructureInspector from './page-structure.js';
+import { checkHtmlWithPlugins, loadPlugins } from './plugins.js';
 import ExcelReporter from './reporter.js';
 import WebScraper from './scraper.js';
+import StaticSite from './static-site.js';
+import SuppressionList from './suppressions.js';
 import wcagDataService from './wcag-data.js';
 
 // Convert localhost to host.docker.internal for Docker
@@ -29,6 +39,166 @@ function convertLocalhostUrl(url) {
   return url;
 }
 
+// On SIGINT/SIGTERM: run the transport's cleanup, close the pooled browsers and exit,
+// so no Chrome process outlives the server
+function handleShutdown(cleanup = async () => {}) {
+  let stopping = false;
+  const shutdown = async (reason) => {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    logger.info(`Shutting down server (${reason})...`);
+    try {
+      await cleanup();
+    } catch (error) {
+      logger.error('Error during shutdown:', error);
+    }
+    await browserPool.shutdown();
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  return shutdown;
+}
+
+// Test engine selection shared by the page-loading tools
+const RUNNERS_SCHEMA = {
+  type: 'array',
+  items: { type: 'string', enum: ['htmlcs', 'axe'] },
+  description: 'pa11y test engines: htmlcs (HTML_CodeSniffer), axe (axe-core) or both. Findings for the same element and success criterion are merged and list the engines that reported them (default: PA11Y_RUNNERS env or htmlcs)',
+};
+
+// Visual evidence option shared by the page-loading tools
+const SCREENSHOTS_SCHEMA = {
+  type: 'boolean',
+  description: 'Capture a full-page screenshot and cropped screenshots of each issue with the affected elements outlined in red. Returned as images and embedded in Excel reports (default: false)',
+  default: false,
+};
+
+// Viewport profiles shared by the page-loading tools
+const VIEWPORTS_SCHEMA = {
+  type: 'array',
+  items: {
+    oneOf: [
+      { type: 'string', enum: ['mobile', 'tablet', 'desktop'] },
+      {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          width: { type: 'number' },
+          height: { type: 'number' },
+          mobile: { type: 'boolean', description: 'Emulate a touch device (default: width below 1024)' },
+        },
+        required: ['width'],
+      },
+    ],
+  },
+  description: 'Analyze each page once per viewport: presets mobile (320px), tablet (768px), desktop (VIEWPORT_WIDTH, 1280px) or custom sizes. Reports mark issues found only in some viewports (default: desktop only)',
+};
+
+// Browser checks shared by the page-loading tools
+const CHECKS_SCHEMA = {
+  type: 'array',
+  items: { type: 'string', enum: ['reflow', 'text-spacing', 'media', 'target-size'] },
+  description: 'Browser checks run after pa11y: reflow (1.4.10: horizontal scrolling, clipped content and overlapping text at 320 CSS px), text-spacing (1.4.12: text cut off or overflowing with increased spacing), media (1.2.2, 1.2.3, 1.2.4, 1.2.5, 1.4.2: captions and audio description tracks, autoplaying sound, embedded video players), target-size (2.5.8: pointer targets under 24×24 CSS px without enough spacing; targets under 44×44 CSS px for 2.5.5, as issues with WCAG2AAA and listed for information otherwise). Pass [] to skip them (default: CHECKS env or reflow)',
+};
+
+// Issue suppressions shared by the page-loading tools
+const SUPPRESSIONS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', description: 'Issue code, * as wildcard (e.g. "WCAG2AA.Principle2.Guideline2_4.2_4_2.*" or axe rule id "document-title")' },
+      selector: { type: 'string', description: 'CSS selector reported for the element, * as wildcard' },
+      url: { type: 'string', description: 'Page pattern, same syntax as include/exclude (e.g. "/app/**")' },
+      expires: { type: 'string', description: 'Last day the suppression applies (YYYY-MM-DD); after that the issue is counted again' },
+      justification: { type: 'string', description: 'Why the issue is suppressed (required, shown in reports)' },
+    },
+    required: ['justification'],
+  },
+  description: 'Known false positives or accepted issues. Matching issues are left out of counts and the Excel status but listed in a separate Suppressed section. Added to the rules in SUPPRESSIONS_FILE',
+};
+
+// Page readiness conditions shared by the analysis tools
+const READY_SELECTORS_SCHEMA = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'CSS selectors that must match an element before a page is analyzed, e.g. "main h1" or "[data-loaded]". Added to the default stabilization (DOM mutations quiet, title and lang set), bounded by STABLE_MAX_WAIT',
+};
+const READY_EXPRESSIONS_SCHEMA = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'JavaScript expressions evaluated in the page that must be truthy (promises are awaited) before it is analyzed, e.g. "window.i18next?.isInitialized"',
+};
+
+// Report ordering shared by the page-loading tools
+const SORT_SCHEMA = {
+  type: 'string',
+  enum: ['impact', 'criterion'],
+  description: 'Issue order in reports: most severe impact first, or by WCAG success criterion (default: impact)',
+  default: 'impact',
+};
+
+// Authentication options shared by the page-loading tools
+const AUTH_SCHEMA = {
+  type: 'object',
+  description: 'Authentication for pages behind a login. String values may reference server environment variables as ${NAME} (WCAG_AUTH_* or listed in AUTH_ENV_VARS). Secrets are masked in logs and reports.',
+  properties: {
+    headers: {
+      type: 'object',
+      additionalProperties: { type: 'string' },
+      description: 'Extra HTTP headers sent with every request (e.g. Authorization)',
+    },
+    cookies: {
+      oneOf: [
+        { type: 'string' },
+        {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              value: { type: 'string' },
+              domain: { type: 'string' },
+              path: { type: 'string' },
+            },
+            required: ['name', 'value'],
+          },
+        },
+      ],
+      description: 'Cookies as "name=value; name2=value2" or a list of cookie objects',
+    },
+    login: {
+      type: 'object',
+      description: 'Scripted login run once before crawling; resulting cookies are shared by crawler and analyzer',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'Login page URL (default: the analyzed URL)',
+        },
+        steps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              action: {
+                type: 'string',
+                enum: ['goto', 'fill', 'click', 'wait_for', 'wait_for_navigation'],
+              },
+              selector: { type: 'string' },
+              value: { type: 'string' },
+              url: { type: 'string' },
+            },
+            required: ['action'],
+          },
+        },
+      },
+    },
+  },
+};
+
 class WCAGMCPServer {
   constructor() {
     this.server = new Server(
@@ -58,7 +228,11 @@ class WCAGMCPServer {
             properties: {
               url: {
                 type: 'string',
-                description: 'Website URL to analyze',
+                description: 'Website URL to analyze (or use path)',
+              },
+              path: {
+                type: 'string',
+                description: 'Local build folder, HTML file or glob of HTML files ("dist", "out/**/*.html") to analyze instead of url, relative to and within BUILD_ROOT on the server (mounted into the container under Docker). The files are served from a temporary local server, and reports name pages by file path',
               },
               max_depth: {
                 type: 'number',
@@ -70,6 +244,73 @@ class WCAGMCPServer {
                 description: 'Maximum pages to analyze (default: 10)',
                 default: 10,
               },
+              discovery: {
+                type: 'string',
+                enum: ['links', 'sitemap', 'both'],
+                description: 'Page discovery: follow links, read robots.txt/sitemap.xml, or both (default: links)',
+                default: 'links',
+              },
+              sampling: {
+                type: 'string',
+                enum: ['first', 'representative'],
+                description: 'Page selection: first pages found, or a representative sample with the front page, forms and one page per template cluster; documents are listed for manual review (default: first)',
+                default: 'first',
+              },
+              render_links: {
+                type: 'boolean',
+                description: 'Render pages in headless Chrome during link discovery to find client-side navigation in SPAs (default: false)',
+                default: false,
+              },
+              include: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Only crawl URLs matching these patterns. Globs match path and query ("/blog/**", "**?page=*"); prefix with "regex:" for a regular expression',
+              },
+              exclude: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Never crawl URLs matching these patterns (same syntax as include)',
+              },
+              strip_params: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Query parameters to remove before comparing URLs, * wildcard allowed (default: utm_*, fbclid, gclid, msclkid, mc_cid, mc_eid)',
+              },
+              keep_params: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Query parameters to keep; all others are removed. Overrides strip_params',
+              },
+              trailing_slash: {
+                type: 'string',
+                enum: ['keep', 'strip', 'add'],
+                description: 'Trailing slash normalization for URL paths (default: keep)',
+                default: 'keep',
+              },
+              ignore_case: {
+                type: 'boolean',
+                description: 'Treat URL paths as case-insensitive by lowercasing them (default: false)',
+                default: false,
+              },
+              ignore_robots: {
+                type: 'boolean',
+                description: 'Ignore robots.txt rules and Crawl-delay. Only use for sites you own (default: false)',
+                default: false,
+              },
+              auth: AUTH_SCHEMA,
+              concurrency: {
+                type: 'number',
+                minimum: 1,
+                maximum: 8,
+                description: 'Pages analyzed in parallel as tabs of one browser; at most PER_HOST_CONCURRENCY per host (default: CONCURRENCY env or 1)',
+              },
+              runners: RUNNERS_SCHEMA,
+              checks: CHECKS_SCHEMA,
+              suppressions: SUPPRESSIONS_SCHEMA,
+              ready_selectors: READY_SELECTORS_SCHEMA,
+              ready_expressions: READY_EXPRESSIONS_SCHEMA,
+              screenshots: SCREENSHOTS_SCHEMA,
+              viewports: VIEWPORTS_SCHEMA,
               checklist_type: {
                 type: 'string',
                 enum: ['WEB', 'APP'],
@@ -88,6 +329,7 @@ class WCAGMCPServer {
                 description: 'Report language (default: no)',
                 default: 'no',
               },
+              sort_by: SORT_SCHEMA,
               standard: {
                 type: 'string',
                 enum: ['WCAG2A', 'WCAG2AA', 'WCAG2AAA'],
@@ -95,7 +337,6 @@ class WCAGMCPServer {
                 default: 'WCAG2AA',
               },
             },
-            required: ['url'],
           },
         },
         {
@@ -114,16 +355,169 @@ class WCAGMCPServer {
                 description: 'Report language (default: no)',
                 default: 'no',
               },
+              sort_by: SORT_SCHEMA,
               standard: {
                 type: 'string',
                 enum: ['WCAG2A', 'WCAG2AA', 'WCAG2AAA'],
                 description: 'WCAG standard level (default: WCAG2AA)',
                 default: 'WCAG2AA',
               },
+              runners: RUNNERS_SCHEMA,
+              checks: CHECKS_SCHEMA,
+              suppressions: SUPPRESSIONS_SCHEMA,
+              ready_selectors: READY_SELECTORS_SCHEMA,
+              ready_expressions: READY_EXPRESSIONS_SCHEMA,
+              screenshots: SCREENSHOTS_SCHEMA,
+              viewports: VIEWPORTS_SCHEMA,
+              auth: AUTH_SCHEMA,
+            },
+            required: ['url'],
+          },
+        },
+        {
+          name: 'keyboard_audit',
+          description: 'Press Tab through a page and record the keyboard focus order. Flags keyboard traps (2.1.2), focus order that differs from DOM or visual order (2.4.3), focus without a visible change (2.4.7) and focus hidden behind sticky headers or banners (2.4.11)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'Page URL to audit',
+              },
+              max_tabs: {
+                type: 'number',
+                minimum: 1,
+                maximum: 500,
+                description: 'Maximum Tab presses before the audit stops (default: KEYBOARD_MAX_TABS env or 100)',
+              },
+              language: {
+                type: 'string',
+                enum: ['no', 'en'],
+                description: 'Report language (default: no)',
+                default: 'no',
+              },
+              standard: {
+                type: 'string',
+                enum: ['WCAG2A', 'WCAG2AA', 'WCAG2AAA'],
+                description: 'WCAG standard level; WCAG2AAA also reports partly hidden focus (2.4.12) (default: WCAG2AA)',
+                default: 'WCAG2AA',
+              },
+              auth: AUTH_SCHEMA,
             },
             required: ['url'],
           },
         },
+        {
+          name: 'form_audit',
+          description: 'Opt-in form error-flow test: submits the forms on a page empty and with invalid values in an isolated browser session, then checks that error messages appear, are tied to their fields (aria-describedby, aria-invalid), get focus or are announced by a live region (3.3.1), and suggest a correction (3.3.3). Requests to URLs outside allow_submit are blocked, so forms are never submitted anywhere else',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'Page URL with the forms',
+              },
+              allow_submit: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'URLs forms may submit to, e.g. ["/contact/**"] (paths match this site only) or ["https://api.example.com/forms/*"]. Everything else is blocked (default: FORM_AUDIT_ALLOW env, else nothing)',
+              },
+              form_selector: {
+                type: 'string',
+                description: 'CSS selector of one form to test (default: all visible forms except search forms)',
+              },
+              max_forms: {
+                type: 'number',
+                minimum: 1,
+                maximum: 20,
+                description: 'Forms tested per page (default: FORM_AUDIT_MAX_FORMS env or 5)',
+              },
+              language: {
+                type: 'string',
+                enum: ['no', 'en'],
+                description: 'Report language (default: no)',
+                default: 'no',
+              },
+              standard: {
+                type: 'string',
+                enum: ['WCAG2A', 'WCAG2AA', 'WCAG2AAA'],
+                description: 'WCAG standard level; WCAG2A leaves out 3.3.3 Error Suggestion (default: WCAG2AA)',
+                default: 'WCAG2AA',
+              },
+              auth: AUTH_SCHEMA,
+            },
+            required: ['url'],
+          },
+        },
+        {
+          name: 'accessibility_tree',
+          description: 'Show what assistive technology gets: the browser accessibility tree of a page or HTML snippet as a compact indented outline with role, accessible name, states (checked, expanded, required, ...) and heading level',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'Page URL to inspect (or use html)',
+              },
+              html: {
+                type: 'string',
+                description: 'HTML document or snippet to inspect instead of a URL',
+              },
+              selector: {
+                type: 'string',
+                description: 'CSS selector of an element; only its subtree is shown',
+              },
+              interesting_only: {
+                type: 'boolean',
+                description: 'Leave out nodes assistive technology ignores, such as generic containers (default: true)',
+                default: true,
+              },
+              max_nodes: {
+                type: 'number',
+                minimum: 1,
+                maximum: 5000,
+                description: 'Nodes in the outline before it is cut (default: ACCESSIBILITY_TREE_MAX_NODES env or 500)',
+              },
+              language: {
+                type: 'string',
+                enum: ['no', 'en'],
+                description: 'Report language (default: no)',
+                default: 'no',
+              },
+              auth: AUTH_SCHEMA,
+            },
+          },
+        },
+        {
+          name: 'page_structure',
+          description: 'Heading outline, landmark regions (banner, navigation, main, ...) and skip links of a page or HTML snippet. Flags skipped heading levels and empty headings, a missing main landmark, duplicate unlabelled navigation and skip links to missing targets (1.3.1, 2.4.1, 2.4.6)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'Page URL to inspect (or use html)',
+              },
+              html: {
+                type: 'string',
+                description: 'HTML document or snippet to inspect instead of a URL',
+              },
+              language: {
+                type: 'string',
+                enum: ['no', 'en'],
+                description: 'Report language (default: no)',
+                default: 'no',
+              },
+              standard: {
+                type: 'string',
+                enum: ['WCAG2A', 'WCAG2AA', 'WCAG2AAA'],
+                description: 'WCAG standard level (default: WCAG2AA)',
+                default: 'WCAG2AA',
+              },
+              auth: AUTH_SCHEMA,
+            },
+          },
+        },
         {
           name: 'check_html_code',
           description: 'Analyze HTML code snippet for WCAG accessibility issues. Use this BEFORE deploying to find and fix issues in your code. Returns actionable suggestions for the AI agent to fix.',
@@ -198,6 +592,14 @@ class WCAGMCPServer {
           return await this.analyzeWCAG(args);
         } else if (name === 'quick_check') {
           return await this.quickCheck(args);
+        } else if (name === 'keyboard_audit') {
+          return await this.keyboardAudit(args);
+        } else if (name === 'form_audit') {
+          return await this.formAudit(args);
+        } else if (name === 'accessibility_tree') {
+          return await this.accessibilityTree(args);
+        } else if (name === 'page_structure') {
+          return await this.pageStructure(args);
         } else if (name === 'check_html_code') {
           return await this.checkHtmlCode(args);
         } else if (name === 'get_wcag_rules') {
@@ -222,27 +624,92 @@ class WCAGMCPServer {
   }
 
   async analyzeWCAG(args) {
-    const { url, max_depth = 2, max_pages = 10, format = 'markdown', language = 'no', checklist_type = 'WEB', standard = 'WCAG2AA' } = args;
-    
-    const convertedUrl = convertLocalhostUrl(url);
-    if (convertedUrl !== url) {
-      logger.info(`Converted URL: ${url} → ${convertedUrl}`);
+    const { url, path: buildPath, max_depth = 2, max_pages = 10, discovery = 'links', sampling = 'first', render_links = false, ignore_robots = false, format = 'markdown', language = 'no', checklist_type = 'WEB', standard = 'WCAG2AA', sort_by = 'impact', auth, concurrency, runners, checks, suppressions, ready_selectors, ready_expressions, screenshots = false, viewports } = args;
+    const { include, exclude, strip_params, keep_params, trailing_slash = 'keep', ignore_case = false } = args;
+
+    if (Boolean(url) === Boolean(buildPath)) {
+      throw new Error('Give either url or path');
+    }
+    if (buildPath && auth) {
+      throw new Error('auth cannot be used with path: local files need no login');
     }
 
-    logger.info(`Starting WCAG analysis for ${convertedUrl}`);
+    // A local build is served from a temporary static server in this process, so its
+    // URL needs no Docker host translation
+    const site = buildPath ? new StaticSite(buildPath) : null;
+    const convertedUrl = url ? convertLocalhostUrl(url) : null;
+    if (url && convertedUrl !== url) {
+      logger.info(`Converted URL: ${url} → ${convertedUrl}`);
+    }
 
-    // Step 1: Discover pages
-    logger.info('📡 Step 1/3: Discovering pages...');
-    const scraper = new WebScraper();
-    const pages = await scraper.discoverPages(convertedUrl, max_depth, max_pages);
+    logger.info(`Starting WCAG analysis for ${convertedUrl || buildPath}`);
 
-    logger.info(`✅ Found ${pages.length} pages to analyze`);
+    const suppressionList = await SuppressionList.load(suppressions);
+    const plugins = await loadPlugins();
 
-    // Step 2: Analyze pages
-    logger.info(`🔍 Step 2/3: Analyzing pages with pa11y (${standard})...`);
-    const analyzer = new WCAGAnalyzer(standard);
+    // Authenticated session shared by scraper and analyzer
+    let session = null;
+    let analyzer = null;
     try {
-      const analysis = await analyzer.analyzeWebsite(pages);
+      session = auth ? new AuthSession(auth, convertedUrl) : null;
+      analyzer = new WCAGAnalyzer(standard, {
+        session,
+        runners,
+        checks,
+        plugins,
+        suppressions: suppressionList,
+        ready: { selectors: ready_selectors, expressions: ready_expressions },
+        screenshots,
+        viewports
+      });
+      if (session?.login) {
+        logger.info('🔑 Logging in...');
+        await analyzer.init();
+        await session.performLogin(analyzer.browser);
+      }
+
+      if (site) {
+        await site.start();
+      }
+
+      // Step 1: Discover pages
+      logger.info('📡 Step 1/3: Discovering pages...');
+      const scraper = new WebScraper();
+      const discovered = await scraper.discoverPages(site ? site.startUrl : convertedUrl, max_depth, max_pages, {
+        discovery,
+        sampling,
+        session,
+        renderLinks: render_links,
+        // Local files: no robots.txt to honor and no server to spare
+        ignoreRobots: ignore_robots || Boolean(site),
+        ...(site ? { crawlDelay: 0 } : {}),
+        urlFilter: {
+          include,
+          exclude,
+          stripParams: strip_params,
+          keepParams: keep_params,
+          trailingSlash: trailing_slash,
+          ignoreCase: ignore_case
+        }
+      });
+      // One page per file, plus the files no link leads to (unless the pages are a sample)
+      const pages = site ? site.pages(discovered, max_pages, { unlinked: sampling === 'first' }) : discovered;
+
+      logger.info(`✅ Found ${pages.length} pages to analyze`);
+
+      // Step 2: Analyze pages
+      logger.info(`🔍 Step 2/3: Analyzing pages with pa11y (${standard})...`);
+      const analysis = await analyzer.analyzeWebsite(pages, {
+        ...(concurrency ? { concurrency: Math.min(Math.max(1, Math.floor(concurrency)), 8) } : {})
+      });
+      analysis.skippedPages = scraper.skipped;
+      analysis.expiredSuppressions = suppressionList.expired;
+      for (const page of analysis.pageAnalyses) {
+        page.cluster = scraper.clusters.get(page.url);
+      }
+      if (site) {
+        site.labelAnalysis(analysis);
+      }
 
       // Step 3: Generate report
       logger.info('✅ Step 3/3: Analysis complete!');
@@ -252,7 +719,7 @@ class WCAGMCPServer {
       if (format === 'excel') {
         // Generate Excel report
         const reporter = new ExcelReporter();
-        const workbook = await reporter.generateReport(analysis, checklist_type);
+        const workbook = await reporter.generateReport(analysis, checklist_type, { sortBy: sort_by });
         const buffer = await workbook.xlsx.writeBuffer();
         
         const filename = `WCAG-report-${checklist_type}-${new Date().toISOString().split('T')[0]}.xlsx`;
@@ -271,12 +738,13 @@ class WCAGMCPServer {
             {
               type: 'text',
               text: `📊 Excel-rapport generert: ${filename}\n\nSider analysert: ${analysis.pagesAnalyzed}\nProblemer funnet: ${analysis.totalIssues}`
-            }
+            },
+            ...this._screenshotContent(analysis.pageAnalyses, language)
           ],
         };
       } else {
         // Simple markdown report
-        const report = this._generateMarkdownReport(analysis, language);
+        const report = this._generateMarkdownReport(analysis, language, sort_by);
 
         return {
           content: [
@@ -284,16 +752,22 @@ class WCAGMCPServer {
               type: 'text',
               text: report,
             },
+            ...this._screenshotContent(analysis.pageAnalyses, language),
           ],
         };
       }
+    } catch (error) {
+      // Mask secrets before the session stops tracking them
+      throw new Error(redactSecrets(site ? site.relabel(error.message) : error.message));
     } finally {
-      await analyzer.close();
+      await analyzer?.close();
+      await site?.close();
+      session?.dispose();
     }
   }
 
   async quickCheck(args) {
-    const { url, language = 'no', standard = 'WCAG2AA' } = args;
+    const { url, language = 'no', standard = 'WCAG2AA', sort_by = 'impact', auth, runners, checks, suppressions, ready_selectors, ready_expressions, screenshots = false, viewports } = args;
     
     const convertedUrl = convertLocalhostUrl(url);
     if (convertedUrl !== url) {
@@ -302,10 +776,30 @@ class WCAGMCPServer {
 
     logger.info(`Quick check for ${convertedUrl} (${standard})`);
 
-    const analyzer = new WCAGAnalyzer(standard);
+    const suppressionList = await SuppressionList.load(suppressions);
+    const plugins = await loadPlugins();
+    let session = null;
+    let analyzer = null;
     try {
+      session = auth ? new AuthSession(auth, convertedUrl) : null;
+      analyzer = new WCAGAnalyzer(standard, {
+        session,
+        runners,
+        checks,
+        plugins,
+        suppressions: suppressionList,
+        ready: { selectors: ready_selectors, expressions: ready_expressions },
+        screenshots,
+        viewports
+      });
+      if (session?.login) {
+        await analyzer.init();
+        await session.performLogin(analyzer.browser);
+      }
+
       const analysis = await analyzer.analyzePage(convertedUrl);
-      const report = this._generateQuickReport(analysis, language);
+      analysis.expiredSuppressions = suppressionList.expired;
+      const report = this._generateQuickReport(analysis, language, sort_by);
 
       return {
         content: [
@@ -313,10 +807,177 @@ class WCAGMCPServer {
             type: 'text',
             text: report,
           },
+          ...this._screenshotContent([analysis], language),
         ],
       };
+    } catch (error) {
+      throw new Error(redactSecrets(error.message));
     } finally {
-      await analyzer.close();
+      await analyzer?.close();
+      session?.dispose();
+    }
+  }
+
+  async keyboardAudit(args) {
+    const { url, max_tabs, language = 'no', standard = 'WCAG2AA', auth } = args;
+    
+    const convertedUrl = convertLocalhostUrl(url);
+    if (convertedUrl !== url) {
+      logger.info(`Converted URL: ${url} → ${convertedUrl}`);
+    }
+
+    let session = null;
+    let auditor = null;
+    try {
+      session = auth ? new AuthSession(auth, convertedUrl) : null;
+      auditor = new KeyboardAuditor(standard, {
+        session,
+        ...(max_tabs ? { maxTabs: Math.min(Math.max(1, Math.floor(max_tabs)), 500) } : {})
+      });
+      if (session?.login) {
+        await auditor.init();
+        await session.performLogin(auditor.browser);
+      }
+
+      const result = await auditor.audit(convertedUrl);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this._generateKeyboardReport(result, language, auditor.maxTabs),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(redactSecrets(error.message));
+    } finally {
+      await auditor?.close();
+      session?.dispose();
+    }
+  }
+
+  async formAudit(args) {
+    const { url, allow_submit, form_selector, max_forms, language = 'no', standard = 'WCAG2AA', auth } = args;
+    
+    const convertedUrl = convertLocalhostUrl(url);
+    if (convertedUrl !== url) {
+      logger.info(`Converted URL: ${url} → ${convertedUrl}`);
+    }
+
+    let session = null;
+    let auditor = null;
+    try {
+      session = auth ? new AuthSession(auth, convertedUrl) : null;
+      auditor = new FormAuditor(standard, {
+        session,
+        ...(allow_submit ? { allowSubmit: allow_submit } : {}),
+        ...(max_forms ? { maxForms: Math.min(Math.max(1, Math.floor(max_forms)), 20) } : {})
+      });
+      if (session?.login) {
+        await auditor.init();
+        await session.performLogin(auditor.browser);
+      }
+
+      const result = await auditor.audit(convertedUrl, form_selector);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this._generateFormReport(result, language),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(redactSecrets(error.message));
+    } finally {
+      await auditor?.close();
+      session?.dispose();
+    }
+  }
+
+  async accessibilityTree(args) {
+    const { url, html, selector, interesting_only = true, max_nodes, language = 'no', auth } = args;
+
+    if (!url && !html) {
+      throw new Error('Provide either url or html');
+    }
+
+    const convertedUrl = url ? convertLocalhostUrl(url) : null;
+    if (convertedUrl && convertedUrl !== url) {
+      logger.info(`Converted URL: ${url} → ${convertedUrl}`);
+    }
+
+    let session = null;
+    let inspector = null;
+    try {
+      session = auth && convertedUrl ? new AuthSession(auth, convertedUrl) : null;
+      inspector = new AccessibilityTreeInspector({
+        session,
+        interestingOnly: interesting_only,
+        ...(max_nodes ? { maxNodes: Math.min(Math.max(1, Math.floor(max_nodes)), 5000) } : {})
+      });
+      if (session?.login) {
+        await inspector.init();
+        await session.performLogin(inspector.browser);
+      }
+
+      const result = await inspector.snapshot(convertedUrl ? { url: convertedUrl } : { html }, selector);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this._generateAccessibilityTreeReport(result, language, inspector.maxNodes),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(redactSecrets(error.message));
+    } finally {
+      await inspector?.close();
+      session?.dispose();
+    }
+  }
+
+  async pageStructure(args) {
+    const { url, html, language = 'no', standard = 'WCAG2AA', auth } = args;
+
+    if (!url && !html) {
+      throw new Error('Provide either url or html');
+    }
+
+    const convertedUrl = url ? convertLocalhostUrl(url) : null;
+    if (convertedUrl && convertedUrl !== url) {
+      logger.info(`Converted URL: ${url} → ${convertedUrl}`);
+    }
+
+    let session = null;
+    let inspector = null;
+    try {
+      session = auth && convertedUrl ? new AuthSession(auth, convertedUrl) : null;
+      inspector = new PageStructureInspector(standard, { session });
+      if (session?.login) {
+        await inspector.init();
+        await session.performLogin(inspector.browser);
+      }
+
+      const result = await inspector.inspect(convertedUrl ? { url: convertedUrl } : { html });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this._generateStructureReport(result, language),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(redactSecrets(error.message));
+    } finally {
+      await inspector?.close();
+      session?.dispose();
     }
   }
 
@@ -470,6 +1131,9 @@ class WCAGMCPServer {
       }
     }
     
+    // Organization rules from PLUGINS_DIR that can check HTML source
+    issues.push(...await checkHtmlWithPlugins(await loadPlugins(), html));
+    
     // Generate report
     const t = language === 'en' ? {
       title: 'HTML Accessibility Analysis',
@@ -480,6 +1144,7 @@ class WCAGMCPServer {
       howToFix: 'How to fix',
       occurrences: 'Occurrences',
       examples: 'Examples in code',
+      plugin: 'Rule plugin',
       note: 'Note: This is static analysis. Always test with screen readers and keyboard navigation.',
       error: 'Error',
       warning: 'Warning',
@@ -493,6 +1158,7 @@ class WCAGMCPServer {
       howToFix: 'Slik fikser du',
       occurrences: 'Forekomster',
       examples: 'Eksempler i koden',
+      plugin: 'Egen regel',
       note: 'Merk: Dette er statisk analyse. Test alltid med skjermleser og tastaturnavigasjon.',
       error: 'Feil',
       warning: 'Advarsel',
@@ -521,6 +1187,9 @@ class WCAGMCPServer {
         const icon = issue.severity === 'error' ? '🔴' : issue.severity === 'warning' ? '🟡' : '🔵';
         report += `## ${icon} ${issue.issue}\n\n`;
         report += `- **${t.wcagCriteria}:** ${issue.wcag}\n`;
+        if (issue.plugin) {
+          report += `- **${t.plugin}:** ${issue.plugin}\n`;
+        }
         report += `- **${t.occurrences}:** ${issue.occurrences}\n`;
         report += `- **${t.howToFix}:** ${issue.fix}\n`;
         if (issue.examples.length > 0) {
@@ -825,7 +1494,7 @@ class WCAGMCPServer {
     };
   }
 
-  _generateMarkdownReport(analysis, language) {
+  _generateMarkdownReport(analysis, language, sortBy = 'impact') {
     const t = language === 'en' ? {
       title: 'WCAG Compliance Report',
       website: 'Website',
@@ -835,7 +1504,12 @@ class WCAGMCPServer {
       critical: 'Critical',
       serious: 'Serious',
       moderate: 'Moderate',
-      minor: 'Minor'
+      minor: 'Minor',
+      runners: 'Test Engines',
+      checks: 'Browser Checks',
+      plugins: 'Rule Plugins',
+      viewports: 'Viewports',
+      suppressed: 'Suppressed Issues'
     } : {
       title: 'WCAG Tilgjengelighetsrapport',
       website: 'Nettsted',
@@ -845,7 +1519,12 @@ class WCAGMCPServer {
       critical: 'Kritisk',
       serious: 'Alvorlig',
       moderate: 'Moderat',
-      minor: 'Mindre'
+      minor: 'Mindre',
+      runners: 'Testmotorer',
+      checks: 'Nettlesertester',
+      plugins: 'Egne regler',
+      viewports: 'Visninger',
+      suppressed: 'Undertrykte problemer'
     };
 
     // Map violations to WCAG criteria (reuse ExcelReporter logic)
@@ -855,22 +1534,38 @@ class WCAGMCPServer {
     report += `**${t.website}:** ${analysis.baseUrl}\n`;
     report += `**${t.timestamp}:** ${analysis.timestamp}\n`;
     report += `**${t.pages}:** ${analysis.pagesAnalyzed}\n`;
-    report += `**${t.issues}:** ${analysis.totalIssues}\n\n`;
+    report += `**${t.issues}:** ${analysis.totalIssues}\n`;
+    const suppressedCount = analysis.pageAnalyses.reduce((sum, page) => sum + (page.suppressed?.length || 0), 0);
+    if (suppressedCount > 0) {
+      report += `**${t.suppressed}:** ${suppressedCount}\n`;
+    }
+    report += `**${t.runners}:** ${analysis.runners.join(', ')}\n`;
+    if (analysis.checks?.length > 0) {
+      report += `**${t.checks}:** ${analysis.checks.join(', ')}\n`;
+    }
+    if (analysis.plugins) {
+      report += `**${t.plugins}:** ${analysis.plugins.join(', ')}\n`;
+    }
+    if (analysis.viewports) {
+      report += `**${t.viewports}:** ${analysis.viewports.join(', ')}\n`;
+    }
+    report += '\n';
 
     // WCAG Criteria Summary
     if (Object.keys(violationsByCriteria).length > 0) {
       report += `## ${language === 'en' ? 'WCAG Success Criteria Violations' : 'WCAG Suksesskriterier - Brudd'}\n\n`;
       report += `${language === 'en' ? 'Violated' : 'Brudd på'} **${Object.keys(violationsByCriteria).length}** ${language === 'en' ? 'WCAG success criteria' : 'WCAG suksesskriterier'}:\n\n`;
       
-      for (const [criteria, violations] of Object.entries(violationsByCriteria).sort()) {
+      for (const [criteria, violations] of this._sortCriteria(violationsByCriteria, sortBy)) {
         const errorCount = violations.filter(v => v.type === 'error').length;
         const warningCount = violations.filter(v => v.type === 'warning').length;
         const icon = errorCount > 0 ? '🔴' : '🟡';
         const status = errorCount > 0 ? 
           (language === 'en' ? 'Error' : 'Feil') : 
           (language === 'en' ? 'Warning' : 'Advarsel');
+        const worstImpact = violations.map(v => v.impact).sort(compareImpact)[0];
         
-        report += `${icon} **${criteria}** - ${status} (${violations.length} ${language === 'en' ? 'issues' : 'problemer'})\n`;
+        report += `${icon} **${criteria}** - ${status} (${violations.length} ${language === 'en' ? 'issues' : 'problemer'}) · ${this._formatImpact(worstImpact, language)}\n`;
       }
       report += `\n`;
     }
@@ -887,15 +1582,18 @@ class WCAGMCPServer {
     if (Object.keys(violationsByCriteria).length > 0) {
       report += `## ${language === 'en' ? 'Detailed WCAG Criteria Analysis' : 'Detaljert WCAG-kriterieanalyse'}\n\n`;
       
-      for (const [criteria, violations] of Object.entries(violationsByCriteria).sort()) {
+      for (const [criteria, violations] of this._sortCriteria(violationsByCriteria, sortBy)) {
         report += `### ${criteria}\n\n`;
         
         // Show unique messages
-        const uniqueMessages = [...new Set(violations.map(v => v.message))];
+        const ordered = sortBy === 'impact' ? [...violations].sort((a, b) => compareImpact(a.impact, b.impact)) : violations;
+        const uniqueMessages = [...new Set(ordered.map(v => v.message))];
         for (const message of uniqueMessages) {
           const matchingViolations = violations.filter(v => v.message === message);
           const icon = matchingViolations[0].type === 'error' ? '🔴' : '🟡';
-          report += `${icon} ${message} (${language === 'en' ? 'Affects' : 'Påvirker'} ${matchingViolations[0].count || 1} ${language === 'en' ? 'elements' : 'elementer'})\n`;
+          const runners = [...new Set(matchingViolations.flatMap(v => v.runners))];
+          report += `${icon} [${this._formatImpact(matchingViolations[0].impact, language, false)}] ${message} (${language === 'en' ? 'Affects' : 'Påvirker'} ${matchingViolations[0].count || 1} ${language === 'en' ? 'elements' : 'elementer'})`;
+          report += runners.length > 0 ? ` — ${runners.join(' + ')}\n` : '\n';
         }
         report += `\n`;
       }
@@ -905,22 +1603,173 @@ class WCAGMCPServer {
     report += `## ${language === 'en' ? 'Page Results' : 'Sideresultater'}\n\n`;
     for (const page of analysis.pageAnalyses) {
       report += `### ${page.url}\n\n`;
-      report += `**${language === 'en' ? 'Issues Found' : 'Problemer funnet'}:** ${page.issues.length}\n\n`;
+      if (page.cluster) {
+        report += `**${language === 'en' ? 'Represents' : 'Representerer'}:** ${this._formatCluster(page.cluster, language)}\n`;
+      }
+      report += `**${language === 'en' ? 'Issues Found' : 'Problemer funnet'}:** ${page.issues.length}\n`;
+      if (page.settle) {
+        report += `**${language === 'en' ? 'Settle Time' : 'Stabiliseringstid'}:** ${this._formatSettle(page.settle, language)}\n`;
+      }
+      if (page.untestedFrames) {
+        report += `**${language === 'en' ? 'Not Tested' : 'Ikke testet'}:** ${page.untestedFrames.length} ${language === 'en' ? 'frames' : 'rammer'}\n`;
+      }
+      report += '\n';
       
       if (page.issues.length > 0) {
         report += `${language === 'en' ? 'Top issues' : 'Viktigste problemer'}:\n`;
-        for (const issue of page.issues.slice(0, 5)) {
-          report += `- ${issue.message}\n`;
+        for (const issue of this._sortIssues(page.issues, sortBy).slice(0, 5)) {
+          const impact = `[${this._formatImpact(issue.impact, language, false)}]`;
+          const viewports = this._formatViewports(issue, page, language);
+          report += analysis.runners.length > 1
+            ? `- ${impact} ${issue.message}${viewports} — ${issue.runners.join(' + ')}\n`
+            : `- ${impact} ${issue.message}${viewports}\n`;
         }
         report += '\n';
       }
     }
 
+    // Issues that only show up in some viewports (e.g. mobile navigation)
+    const viewportSpecific = analysis.viewports?.length > 1
+      ? analysis.pageAnalyses.flatMap(page => page.issues
+        .filter(issue => issue.viewports?.length < page.viewports.length)
+        .map(issue => ({ page, issue })))
+      : [];
+    if (viewportSpecific.length > 0) {
+      report += `## ${language === 'en' ? 'Viewport-Specific Issues' : 'Visningsspesifikke problemer'}\n\n`;
+      for (const viewport of analysis.viewports) {
+        const found = viewportSpecific.filter(({ issue }) => issue.viewports.includes(viewport));
+        if (found.length === 0) {
+          continue;
+        }
+        found.sort((a, b) => compareIssues(a.issue, b.issue, sortBy));
+        report += `### ${viewport}\n\n`;
+        for (const { page, issue } of found) {
+          report += `- [${this._formatImpact(issue.impact, language, false)}] ${issue.message}${this._formatViewports(issue, page, language)} — ${page.url}\n`;
+        }
+        report += '\n';
+      }
+    }
+
+    report += this._formatMediaReview(analysis.pageAnalyses, language);
+    report += this._formatInformational(analysis.pageAnalyses, language);
+    report += this._formatUntestedFrames(analysis.pageAnalyses, language);
+    report += this._formatSuppressed(analysis.pageAnalyses, analysis.expiredSuppressions, language);
+
+    // Pages excluded from the crawl
+    if (analysis.skippedPages?.length > 0) {
+      report += `## ${language === 'en' ? 'Skipped Pages' : 'Hoppet over'}\n\n`;
+      report += `${language === 'en' ? 'Not analyzed because they were excluded from the crawl' : 'Ikke analysert fordi de ble utelatt fra gjennomsøkingen'}:\n\n`;
+      for (const skipped of analysis.skippedPages) {
+        report += `- ${skipped.url} (${skipped.reason})\n`;
+      }
+      report += '\n';
+    }
+
     report += `\n---\n*${language === 'en' ? 'Report generated by pa11y WCAG analyzer' : 'Rapport generert av pa11y WCAG-analysator'}*\n`;
 
     return report;
   }
 
+  /**
+   * How long a page took to settle before analysis, and what it still waited for at the upper bound
+   * @private
+   */
+  _formatSettle(settle, language) {
+    const time = `${(settle.time / 1000).toFixed(1)} s`;
+    if (settle.strategy === 'fixed') {
+      return `${time} (${language === 'en' ? 'fixed wait' : 'fast ventetid'})`;
+    }
+    if (settle.timedOut) {
+      return `${time} (${language === 'en' ? 'upper bound reached, still waiting for' : 'øvre grense nådd, ventet fortsatt på'}: ${settle.pending.join(', ')})`;
+    }
+    return time;
+  }
+
+  /**
+   * Describe the template cluster a sampled page represents
+   * @private
+   */
+  _formatCluster(cluster, language) {
+    const types = language === 'en'
+      ? { 'front-page': 'Front page', form: 'Form', document: 'Document', template: 'Template' }
+      : { 'front-page': 'Forside', form: 'Skjema', document: 'Dokument', template: 'Sidemal' };
+    const pages = language === 'en' ? 'pages' : 'sider';
+    return `${types[cluster.type]} \`${cluster.label}\` (${cluster.size} ${pages})`;
+  }
+
+  /**
+   * Label an impact level, optionally with its severity icon
+   * @private
+   */
+  _formatImpact(impact, language, withIcon = true) {
+    const labels = language === 'en'
+      ? { critical: 'Critical', serious: 'Serious', moderate: 'Moderate', minor: 'Minor' }
+      : { critical: 'Kritisk', serious: 'Alvorlig', moderate: 'Moderat', minor: 'Mindre' };
+    const icons = { critical: '🔴', serious: '🟠', moderate: '🟡', minor: '🔵' };
+    const label = labels[impact] || impact;
+    return withIcon && icons[impact] ? `${icons[impact]} ${label}` : label;
+  }
+
+  /**
+   * Mark an issue found in only some of the page's viewports
+   * @private
+   */
+  _formatViewports(issue, page, language) {
+    if (!issue.viewports || !page.viewports || issue.viewports.length >= page.viewports.length) {
+      return '';
+    }
+    return ` (${language === 'en' ? 'only' : 'kun'} ${issue.viewports.join(', ')})`;
+  }
+
+  /**
+   * Turn captured screenshots into MCP image content, each preceded by a caption
+   * @private
+   */
+  _screenshotContent(pages, language) {
+    const content = [];
+    
+    for (const page of pages) {
+      for (const screenshot of page.screenshots || []) {
+        const viewport = screenshot.viewport ? ` (${screenshot.viewport})` : '';
+        content.push({ type: 'text', text: `📸 ${language === 'en' ? 'Full page' : 'Hele siden'}${viewport}: ${page.url}` });
+        content.push({ type: 'image', data: screenshot.data, mimeType: screenshot.mimeType });
+      }
+      for (const issue of page.issues) {
+        if (issue.screenshot) {
+          const criteria = issue.criteria?.length > 0 ? ` (WCAG ${issue.criteria.join(', ')})` : '';
+          const viewport = issue.screenshot.viewport ? ` [${issue.screenshot.viewport}]` : '';
+          content.push({
+            type: 'text',
+            text: `📸 ${this._formatImpact(issue.impact, language)}${criteria}: ${issue.message}\n${page.url}${viewport} — \`${issue.selector}\``
+          });
+          content.push({ type: 'image', data: issue.screenshot.data, mimeType: issue.screenshot.mimeType });
+        }
+      }
+    }
+    
+    return content;
+  }
+
+  /**
+   * Order issues for a report: most severe first, or by success criterion
+   * @private
+   */
+  _sortIssues(issues, sortBy) {
+    return [...issues].sort((a, b) => compareIssues(a, b, sortBy));
+  }
+
+  /**
+   * Order success criteria by worst impact or by criterion number
+   * @private
+   */
+  _sortCriteria(violationsByCriteria, sortBy) {
+    const byNumber = (a, b) => a[0].localeCompare(b[0], undefined, { numeric: true });
+    const worst = (violations) => violations.map(v => v.impact).sort(compareImpact)[0];
+    return Object.entries(violationsByCriteria).sort((a, b) =>
+      (sortBy === 'impact' ? compareImpact(worst(a[1]), worst(b[1])) : 0) || byNumber(a, b)
+    );
+  }
+
   /**
    * Map violations to WCAG success criteria (same logic as ExcelReporter)
    * @private
@@ -930,13 +1779,16 @@ class WCAGMCPServer {
     
     for (const page of analysis.pageAnalyses) {
       for (const issue of page.issues) {
-        // Extract WCAG criterion from code
+        // Criteria resolved by the analyzer, else extracted from the code
         // Example: "WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail" -> "1.4.3"
-        const match = issue.code.match(/Guideline(\d+)_(\d+)\.(\d+)_(\d+)_(\d+)/);
+        let criteriaList = issue.criteria || [];
+        const match = criteriaList.length === 0 && issue.code.match(/Guideline(\d+)_(\d+)\.(\d+)_(\d+)_(\d+)/);
         if (match) {
-          const [, major, minor, sc1, sc2, sc3] = match;
-          const criteria = `${major}.${minor}.${sc3}`;
-          
+          const [, major, minor, , , sc3] = match;
+          criteriaList = [`${major}.${minor}.${sc3}`];
+        }
+        
+        for (const criteria of criteriaList) {
           if (!violationsByCriteria[criteria]) {
             violationsByCriteria[criteria] = [];
           }
@@ -946,7 +1798,9 @@ class WCAGMCPServer {
             type: issue.type,
             selector: issue.selector,
             count: issue.affectedElements || 1,
-            context: issue.context
+            context: issue.context,
+            runners: issue.runners || [],
+            impact: issue.impact
           });
         }
       }
@@ -955,35 +1809,528 @@ class WCAGMCPServer {
     return violationsByCriteria;
   }
 
-  _generateQuickReport(analysis, language) {
+  _generateQuickReport(analysis, language, sortBy = 'impact') {
     const t = language === 'en' ? {
       title: 'Quick WCAG Check',
       url: 'URL',
       issues: 'Issues Found',
-      timestamp: 'Analysis Date'
+      timestamp: 'Analysis Date',
+      runners: 'Test Engines',
+      checks: 'Browser Checks',
+      plugins: 'Rule Plugins',
+      viewports: 'Viewports',
+      suppressed: 'Suppressed Issues',
+      settle: 'Settle Time',
+      untested: 'Not Tested'
     } : {
       title: 'Rask WCAG-sjekk',
       url: 'URL',
       issues: 'Problemer funnet',
-      timestamp: 'Analysedato'
+      timestamp: 'Analysedato',
+      runners: 'Testmotorer',
+      checks: 'Nettlesertester',
+      plugins: 'Egne regler',
+      viewports: 'Visninger',
+      suppressed: 'Undertrykte problemer',
+      settle: 'Stabiliseringstid',
+      untested: 'Ikke testet'
     };
 
     let report = `# ${t.title}\n\n`;
     report += `**${t.url}:** ${analysis.url}\n`;
     report += `**${t.timestamp}:** ${analysis.timestamp}\n`;
-    report += `**${t.issues}:** ${analysis.issues.length}\n\n`;
+    report += `**${t.issues}:** ${analysis.issues.length}\n`;
+    if (analysis.suppressed?.length > 0) {
+      report += `**${t.suppressed}:** ${analysis.suppressed.length}\n`;
+    }
+    if (analysis.settle) {
+      report += `**${t.settle}:** ${this._formatSettle(analysis.settle, language)}\n`;
+    }
+    if (analysis.untestedFrames) {
+      report += `**${t.untested}:** ${analysis.untestedFrames.length} ${language === 'en' ? 'frames' : 'rammer'}\n`;
+    }
+    report += `**${t.runners}:** ${analysis.runners.join(', ')}\n`;
+    if (analysis.checks?.length > 0) {
+      report += `**${t.checks}:** ${analysis.checks.join(', ')}\n`;
+    }
+    if (analysis.plugins) {
+      report += `**${t.plugins}:** ${analysis.plugins.join(', ')}\n`;
+    }
+    if (analysis.viewports) {
+      report += `**${t.viewports}:** ${analysis.viewports.join(', ')}\n`;
+    }
+    report += '\n';
 
     if (analysis.issues.length > 0) {
       report += `## ${language === 'en' ? 'Issues' : 'Problemer'}\n\n`;
-      for (const issue of analysis.issues) {
+      for (const issue of this._sortIssues(analysis.issues, sortBy)) {
         report += `### ${issue.code}\n`;
         report += `${issue.message}\n`;
+        report += `- **${language === 'en' ? 'Impact' : 'Alvorlighetsgrad'}:** ${this._formatImpact(issue.impact, language)}\n`;
         report += `- **${language === 'en' ? 'Type' : 'Type'}:** ${issue.type}\n`;
+        if (issue.criteria?.length > 0) {
+          report += `- **WCAG:** ${issue.criteria.join(', ')}\n`;
+        }
+        report += `- **${language === 'en' ? 'Found by' : 'Funnet av'}:** ${issue.runners.join(' + ')}\n`;
+        if (issue.viewports) {
+          const specific = issue.viewports.length < analysis.viewports.length;
+          report += `- **${t.viewports}:** ${specific ? `${language === 'en' ? 'only' : 'kun'} ` : ''}${issue.viewports.join(', ')}\n`;
+        }
         report += `- **${language === 'en' ? 'Selector' : 'Velger'}:** \`${issue.selector}\`\n\n`;
       }
+    } else {
+      report += `✅ ${language === 'en' ? 'No issues found!' : 'Ingen problemer funnet!'}\n\n`;
+    }
+
+    report += this._formatMediaReview([analysis], language);
+    report += this._formatInformational([analysis], language);
+    report += this._formatUntestedFrames([analysis], language);
+    report += this._formatSuppressed([analysis], analysis.expiredSuppressions, language);
+
+    return report;
+  }
+
+  /**
+   * Media findings the media check cannot decide on its own, listed per element for manual review
+   * @private
+   */
+  _formatMediaReview(pageAnalyses, language) {
+    const pages = pageAnalyses
+      .map(page => ({
+        url: page.url,
+        issues: page.issues.filter(issue => issue.runners?.includes('media') && issue.runnerExtras?.needsFurtherReview)
+      }))
+      .filter(page => page.issues.length > 0);
+    if (pages.length === 0) {
+      return '';
+    }
+
+    let report = `## ${language === 'en' ? 'Media to Review Manually' : 'Medier til manuell kontroll'}\n\n`;
+    report += `${language === 'en'
+      ? 'Automated checks cannot decide these; watch or listen to each item'
+      : 'Automatiske tester kan ikke avgjøre disse; se eller lytt gjennom hvert element'}:\n\n`;
+    for (const page of pages) {
+      if (pageAnalyses.length > 1) {
+        report += `### ${page.url}\n\n`;
+      }
+      for (const issue of page.issues) {
+        // The grouped message ends with the element count, which the list below shows
+        const message = issue.message.replace(/ \(Affects \d+ elements?\)$/, '');
+        report += `- **${issue.criteria.join(', ')}** ${message}\n`;
+        for (const element of issue.elements) {
+          report += `  - \`${element.selector}\`\n`;
+        }
+      }
+      report += '\n';
+    }
+    return report;
+  }
+
+  /**
+   * Status of success criteria above the tested standard (2.5.5 with WCAG2AA), listed for
+   * information apart from the issues, since they do not affect conformance at that level
+   * @private
+   */
+  _formatInformational(pageAnalyses, language) {
+    const pages = pageAnalyses.filter(page => page.informational?.length > 0);
+    if (pages.length === 0) {
+      return '';
+    }
+
+    let report = `## ${language === 'en' ? 'Above the Tested Level (for Information)' : 'Over testet nivå (til informasjon)'}\n\n`;
+    report += `${language === 'en'
+      ? 'These success criteria are above the requested standard, so they are not counted as issues'
+      : 'Disse suksesskriteriene er over valgt standard, og telles derfor ikke som problemer'}:\n\n`;
+    for (const page of pages) {
+      if (pageAnalyses.length > 1) {
+        report += `### ${page.url}\n\n`;
+      }
+      for (const issue of page.informational) {
+        // The grouped message ends with the element count, which the list below shows
+        const message = issue.message.replace(/ \(Affects \d+ elements?\)$/, '');
+        report += `- **${issue.criteria.join(', ')}** ${message}\n`;
+        for (const element of issue.elements) {
+          report += `  - \`${element.selector}\`\n`;
+        }
+      }
+      report += '\n';
+    }
+    return report;
+  }
+
+  /**
+   * Frames that could not be tested (cross-origin or failing), so the coverage gap is visible
+   * @private
+   */
+  _formatUntestedFrames(pageAnalyses, language) {
+    const pages = pageAnalyses.filter(page => page.untestedFrames?.length > 0);
+    if (pages.length === 0) {
+      return '';
+    }
+
+    const reasons = language === 'en'
+      ? { 'cross-origin': 'cross-origin, the browser does not let the page script into it' }
+      : { 'cross-origin': 'annet opphav, nettleseren slipper ikke siden til innholdet' };
+
+    let report = `## ${language === 'en' ? 'Untested Frames' : 'Ikke testede rammer'}\n\n`;
+    report += `${language === 'en'
+      ? 'Embedded content that was not analyzed; test it separately at its own URL'
+      : 'Innebygd innhold som ikke ble analysert; test det separat på egen URL'}:\n\n`;
+    for (const page of pages) {
+      if (pageAnalyses.length > 1) {
+        report += `### ${page.url}\n\n`;
+      }
+      for (const frame of page.untestedFrames) {
+        report += `- \`${frame.selector}\` — ${frame.url || 'about:blank'} (${reasons[frame.reason] || frame.reason})\n`;
+      }
+      report += '\n';
+    }
+    return report;
+  }
+
+  /**
+   * Suppressed issues grouped by the rule that suppressed them, and rules that
+   * have expired, so the report shows what was left out and why
+   * @private
+   */
+  _formatSuppressed(pageAnalyses, expired, language) {
+    const rules = new Map();
+    for (const page of pageAnalyses) {
+      for (const issue of page.suppressed || []) {
+        const rule = issue.suppression;
+        const key = JSON.stringify(rule);
+        if (!rules.has(key)) {
+          rules.set(key, { rule, findings: new Map() });
+        }
+        const findings = rules.get(key).findings;
+        const finding = findings.get(issue.code) || { issue, elements: 0, pages: new Set() };
+        finding.elements++;
+        finding.pages.add(page.url);
+        findings.set(issue.code, finding);
+      }
+    }
+    if (rules.size === 0 && !expired?.length) {
+      return '';
+    }
+
+    const describeRule = (rule) => [
+      rule.code && `${language === 'en' ? 'code' : 'kode'} \`${rule.code}\``,
+      rule.selector && `${language === 'en' ? 'selector' : 'velger'} \`${rule.selector}\``,
+      rule.url && `URL \`${rule.url}\``
+    ].filter(Boolean).join(', ');
+
+    let report = '';
+    if (rules.size > 0) {
+      report += `## ${language === 'en' ? 'Suppressed Issues' : 'Undertrykte problemer'}\n\n`;
+      report += `${language === 'en'
+        ? 'Not included in issue counts or checklist status'
+        : 'Ikke med i antall problemer eller sjekklistestatus'}:\n\n`;
+      for (const { rule, findings } of rules.values()) {
+        report += `### ${rule.justification}\n\n`;
+        report += `${language === 'en' ? 'Rule' : 'Regel'}: ${describeRule(rule)}`;
+        report += rule.expires ? ` · ${language === 'en' ? 'expires' : 'utløper'} ${rule.expires}\n\n` : '\n\n';
+        for (const { issue, elements, pages } of findings.values()) {
+          report += `- [${this._formatImpact(issue.impact, language, false)}] ${issue.message} — ${elements} ${language === 'en' ? 'elements' : 'elementer'}`;
+          report += pageAnalyses.length > 1 ? ` (${[...pages].join(', ')})\n` : '\n';
+        }
+        report += '\n';
+      }
+    }
+
+    if (expired?.length > 0) {
+      report += `## ${language === 'en' ? 'Expired Suppressions' : 'Utløpte undertrykkelser'}\n\n`;
+      report += `${language === 'en'
+        ? 'No longer applied; matching issues are counted again'
+        : 'Brukes ikke lenger; treff telles som problemer igjen'}:\n\n`;
+      for (const rule of expired) {
+        report += `- ${rule.justification} — ${describeRule(rule)} (${language === 'en' ? 'expired' : 'utløp'} ${rule.expires})\n`;
+      }
+      report += '\n';
+    }
+
+    return report;
+  }
+
+  _generateKeyboardReport(result, language, maxTabs) {
+    const t = language === 'en' ? {
+      title: 'Keyboard Audit',
+      url: 'URL',
+      timestamp: 'Analysis Date',
+      focusable: 'Focusable Elements',
+      stops: 'Focus Stops',
+      ending: 'Result',
+      issues: 'Issues',
+      order: 'Focus Order',
+      columns: '| # | Element | Text | Visible focus |',
+      hidden: 'hidden',
+      partlyHidden: 'partly hidden',
+      endings: {
+        end: 'Tab reached the end of the page',
+        limit: `Stopped after ${maxTabs} Tab presses (increase max_tabs to continue)`,
+        none: 'No element received focus',
+        trap: 'Stopped at a keyboard trap',
+        escape: 'Stopped at a focus cycle that only Escape leaves',
+        dialog: 'Focus is held in a dialog that Escape closes'
+      }
+    } : {
+      title: 'Tastaturtest',
+      url: 'URL',
+      timestamp: 'Analysedato',
+      focusable: 'Fokuserbare elementer',
+      stops: 'Fokusstopp',
+      ending: 'Resultat',
+      issues: 'Problemer',
+      order: 'Fokusrekkefølge',
+      columns: '| # | Element | Tekst | Synlig fokus |',
+      hidden: 'skjult',
+      partlyHidden: 'delvis skjult',
+      endings: {
+        end: 'Tab nådde slutten av siden',
+        limit: `Stoppet etter ${maxTabs} Tab-trykk (øk max_tabs for å fortsette)`,
+        none: 'Ingen elementer fikk fokus',
+        trap: 'Stoppet i en tastaturfelle',
+        escape: 'Stoppet i en fokussløyfe som bare Escape kommer ut av',
+        dialog: 'Fokus holdes i en dialog som lukkes med Escape'
+      }
+    };
+
+    let report = `# ${t.title}\n\n`;
+    report += `**${t.url}:** ${result.url}\n`;
+    report += `**${t.timestamp}:** ${result.timestamp}\n`;
+    report += `**${t.focusable}:** ${result.focusable}\n`;
+    report += `**${t.stops}:** ${result.stops.length}\n`;
+    report += `**${t.ending}:** ${t.endings[result.ending]}\n\n`;
+
+    report += `## ${t.issues}\n\n`;
+    if (result.issues.length > 0) {
+      for (const issue of this._sortIssues(result.issues, 'impact')) {
+        report += `- [${this._formatImpact(issue.impact, language, false)}] **WCAG ${issue.criteria.join(', ')}** ${issue.message} — \`${issue.selector}\`\n`;
+      }
     } else {
       report += `✅ ${language === 'en' ? 'No issues found!' : 'Ingen problemer funnet!'}\n`;
     }
+    report += '\n';
+
+    if (result.stops.length > 0) {
+      report += `## ${t.order}\n\n`;
+      report += `${t.columns}\n|---|---------|------|---------|\n`;
+      for (const stop of result.stops) {
+        const visible = stop.focusVisible === null ? '❔' : stop.focusVisible && stop.inViewport ? '✅' : '❌';
+        const obscured = stop.obscured === 'full' ? ` (${t.hidden})` : stop.obscured === 'partial' ? ` (${t.partlyHidden})` : '';
+        const text = stop.text.replace(/\|/g, '\\|');
+        report += `| ${stop.index} | \`${stop.selector}\` | ${text} | ${visible}${obscured} |\n`;
+      }
+    }
+
+    return report;
+  }
+
+  _generateFormReport(result, language) {
+    const t = language === 'en' ? {
+      title: 'Form Audit',
+      url: 'URL',
+      timestamp: 'Analysis Date',
+      forms: 'Forms Tested',
+      allowed: 'Submissions Allowed To',
+      nothing: 'nothing (every submission request is blocked)',
+      issues: 'Issues',
+      results: 'Submissions',
+      columns: '| Submission | Error messages | Tied to fields | aria-invalid | Focus after submit | Announced |',
+      strategies: { empty: 'Empty', invalid: 'Invalid values' },
+      focus: { 'first-error': 'first error ✅', 'other-error': 'a later error', message: 'error message ✅', submit: 'stays on submit button', other: 'elsewhere', none: 'lost' },
+      native: 'browser validation',
+      navigated: 'new page',
+      failed: 'could not be submitted',
+      skipped: { search: 'Skipped (search form)', limit: 'Skipped (max_forms reached)' },
+      blocked: 'Blocked Requests',
+      blockedNote: 'Not in allow_submit, so not sent. Errors that only the server reports are not covered for these forms'
+    } : {
+      title: 'Skjematest',
+      url: 'URL',
+      timestamp: 'Analysedato',
+      forms: 'Skjema testet',
+      allowed: 'Innsending tillatt til',
+      nothing: 'ingenting (alle innsendinger blokkeres)',
+      issues: 'Problemer',
+      results: 'Innsendinger',
+      columns: '| Innsending | Feilmeldinger | Knyttet til felt | aria-invalid | Fokus etter innsending | Lest opp |',
+      strategies: { empty: 'Tomt', invalid: 'Ugyldige verdier' },
+      focus: { 'first-error': 'første feil ✅', 'other-error': 'en senere feil', message: 'feilmelding ✅', submit: 'blir på send-knappen', other: 'et annet sted', none: 'mistet' },
+      native: 'nettleserens validering',
+      navigated: 'ny side',
+      failed: 'kunne ikke sendes',
+      skipped: { search: 'Hoppet over (søkeskjema)', limit: 'Hoppet over (max_forms nådd)' },
+      blocked: 'Blokkerte forespørsler',
+      blockedNote: 'Ikke i allow_submit, derfor ikke sendt. Feil som bare serveren melder er ikke dekket for disse skjemaene'
+    };
+
+    const tested = result.forms.filter(form => form.attempts);
+    let report = `# ${t.title}\n\n`;
+    report += `**${t.url}:** ${result.url}\n`;
+    report += `**${t.timestamp}:** ${result.timestamp}\n`;
+    report += `**${t.forms}:** ${tested.length} / ${result.forms.length}\n`;
+    report += `**${t.allowed}:** ${result.allowSubmit.length > 0 ? result.allowSubmit.map(pattern => `\`${pattern}\``).join(', ') : t.nothing}\n\n`;
+
+    report += `## ${t.issues}\n\n`;
+    if (result.issues.length > 0) {
+      for (const issue of this._sortIssues(result.issues, 'impact')) {
+        report += `- [${this._formatImpact(issue.impact, language, false)}] **WCAG ${issue.criteria.join(', ')}** ${issue.message} — \`${issue.selector}\`\n`;
+      }
+    } else if (tested.length > 0) {
+      report += `✅ ${language === 'en' ? 'No issues found!' : 'Ingen problemer funnet!'}\n`;
+    } else {
+      report += `${language === 'en' ? 'No forms were tested.' : 'Ingen skjema ble testet.'}\n`;
+    }
+    report += '\n';
+
+    if (result.forms.length > 0) {
+      report += `## ${t.results}\n\n`;
+    }
+    for (const form of result.forms) {
+      report += `### \`${form.selector}\`\n\n`;
+      if (form.skipped) {
+        report += `${t.skipped[form.skipped]}\n\n`;
+        continue;
+      }
+      report += `${t.columns}\n|---|---|---|---|---|---|\n`;
+      for (const attempt of form.attempts) {
+        const strategy = t.strategies[attempt.strategy];
+        if (attempt.error) {
+          report += `| ${strategy} | ${t.failed}: ${attempt.error.replace(/\|/g, '\\|')} | | | | |\n`;
+          continue;
+        }
+        const shown = attempt.nativeValidation && attempt.messages.length === 0
+          ? t.native
+          : `${attempt.messages.length}${attempt.navigated ? ` (${t.navigated})` : ''}`;
+        const linked = attempt.messages.length > 0 ? `${attempt.messages.filter(message => message.linked).length} / ${attempt.messages.length}` : '–';
+        const announced = attempt.announcements.length > 0 ? `✅ "${attempt.announcements[0].slice(0, 60).replace(/\|/g, '\\|')}"` : '–';
+        report += `| ${strategy} | ${shown} | ${linked} | ${attempt.ariaInvalid} | ${t.focus[attempt.focus]} | ${announced} |\n`;
+      }
+      report += '\n';
+    }
+
+    if (result.blocked.length > 0) {
+      report += `## ${t.blocked}\n\n`;
+      report += `${t.blockedNote}:\n\n`;
+      for (const request of result.blocked) {
+        report += `- ${request.method} ${request.url} (\`${request.form}\`)\n`;
+      }
+      report += '\n';
+    }
+
+    return report;
+  }
+
+  _generateAccessibilityTreeReport(result, language, maxNodes) {
+    const t = language === 'en' ? {
+      title: 'Accessibility Tree',
+      source: 'Source',
+      pageTitle: 'Page Title',
+      nodes: 'Nodes',
+      truncated: `cut at ${maxNodes}, use selector or max_nodes to see more`,
+      timestamp: 'Analysis Date',
+      unnamed: 'Interactive elements without an accessible name'
+    } : {
+      title: 'Tilgjengelighetstre',
+      source: 'Kilde',
+      pageTitle: 'Sidetittel',
+      nodes: 'Noder',
+      truncated: `kuttet ved ${maxNodes}, bruk selector eller max_nodes for å se mer`,
+      timestamp: 'Analysedato',
+      unnamed: 'Interaktive elementer uten tilgjengelig navn'
+    };
+
+    let report = `# ${t.title}\n\n`;
+    report += `**${t.source}:** ${result.source}\n`;
+    if (result.pageTitle) {
+      report += `**${t.pageTitle}:** ${result.pageTitle}\n`;
+    }
+    report += `**${t.timestamp}:** ${result.timestamp}\n`;
+    report += `**${t.nodes}:** ${result.nodes}${result.truncated ? ` (${t.truncated})` : ''}\n`;
+
+    if (result.unnamed.length > 0) {
+      const counts = {};
+      for (const role of result.unnamed) {
+        counts[role] = (counts[role] || 0) + 1;
+      }
+      const roles = Object.entries(counts).map(([role, count]) => count > 1 ? `${role} ×${count}` : role);
+      report += `\n⚠️ **${t.unnamed}:** ${result.unnamed.length} (${roles.join(', ')})\n`;
+    }
+
+    report += `\n\`\`\`\n${result.outline}\n\`\`\`\n`;
+    return report;
+  }
+
+  _generateStructureReport(result, language) {
+    const t = language === 'en' ? {
+      title: 'Page Structure',
+      source: 'Source',
+      pageTitle: 'Page Title',
+      timestamp: 'Analysis Date',
+      issues: 'Issues',
+      headings: 'Headings',
+      landmarks: 'Landmarks',
+      skipLinks: 'Skip Links',
+      none: 'None found',
+      visuallyHidden: 'visually hidden',
+      empty: '(empty)',
+      missingTarget: 'target missing'
+    } : {
+      title: 'Sidestruktur',
+      source: 'Kilde',
+      pageTitle: 'Sidetittel',
+      timestamp: 'Analysedato',
+      issues: 'Problemer',
+      headings: 'Overskrifter',
+      landmarks: 'Landemerker',
+      skipLinks: 'Hopplenker',
+      none: 'Ingen funnet',
+      visuallyHidden: 'visuelt skjult',
+      empty: '(tom)',
+      missingTarget: 'mål mangler'
+    };
+
+    let report = `# ${t.title}\n\n`;
+    report += `**${t.source}:** ${result.source}\n`;
+    if (result.pageTitle) {
+      report += `**${t.pageTitle}:** ${result.pageTitle}\n`;
+    }
+    report += `**${t.timestamp}:** ${result.timestamp}\n\n`;
+
+    report += `## ${t.issues}\n\n`;
+    if (result.issues.length > 0) {
+      for (const issue of this._sortIssues(result.issues, 'impact')) {
+        report += `- [${this._formatImpact(issue.impact, language, false)}] **WCAG ${issue.criteria.join(', ')}** ${issue.message} — \`${issue.selector}\`\n`;
+      }
+    } else {
+      report += `✅ ${language === 'en' ? 'No issues found!' : 'Ingen problemer funnet!'}\n`;
+    }
+
+    // Headings indented by level, so skipped levels stand out
+    report += `\n## ${t.headings} (${result.headings.length})\n\n`;
+    for (const heading of result.headings) {
+      const hidden = heading.visuallyHidden ? ` _(${t.visuallyHidden})_` : '';
+      report += `${'  '.repeat(Math.max(0, heading.level - 1))}- h${heading.level} ${heading.text || t.empty}${hidden}\n`;
+    }
+    if (result.headings.length === 0) {
+      report += `${t.none}\n`;
+    }
+
+    report += `\n## ${t.landmarks} (${result.landmarks.length})\n\n`;
+    for (const landmark of result.landmarks) {
+      report += `${'  '.repeat(landmark.depth)}- ${landmark.role}${landmark.name ? ` "${landmark.name}"` : ''} \`${landmark.selector}\`\n`;
+    }
+    if (result.landmarks.length === 0) {
+      report += `${t.none}\n`;
+    }
+
+    report += `\n## ${t.skipLinks} (${result.skipLinks.length})\n\n`;
+    for (const link of result.skipLinks) {
+      report += `- ${link.targetFound ? '✅' : '❌'} "${link.text}" → \`${link.target}\`${link.targetFound ? '' : ` (${t.missingTarget})`}\n`;
+    }
+    if (result.skipLinks.length === 0) {
+      report += `${t.none}\n`;
+    }
 
     return report;
   }
@@ -1002,6 +2349,10 @@ class WCAGMCPServer {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     logger.info('WCAG MCP Server running on stdio');
+
+    // The client closing stdin ends the session; warm browsers would keep the process alive
+    const shutdown = handleShutdown();
+    process.stdin.on('end', () => shutdown('stdin closed'));
   }
 
   async runHttpServer() {
@@ -1116,8 +2467,7 @@ class WCAGMCPServer {
     });
     
     // Handle shutdown
-    process.on('SIGINT', async () => {
-      logger.info('Shutting down server...');
+    handleShutdown(async () => {
       for (const sessionId in transports) {
         try {
           await transports[sessionId].close();
@@ -1126,7 +2476,6 @@ class WCAGMCPServer {
           logger.error(`Error closing transport for session ${sessionId}:`, error);
         }
       }
-      process.exit(0);
     });
   }
 }
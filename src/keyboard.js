@@ -0,0 +1,405 @@
+/**
+ * Keyboard audit: tab through a page, record the focus order and check
+ * 2.1.2 No Keyboard Trap, 2.4.3 Focus Order, 2.4.7 Focus Visible and
+ * 2.4.11 Focus Not Obscured (2.4.12 with WCAG2AAA)
+ */
+import { browserPool } from './browser-pool.js';
+import { isLevelIncluded, toIssue } from './checks/index.js';
+import { evaluateWithHelpers } from './checks/dom.js';
+import config from './config.js';
+import logger from './logger.js';
+import { openPage } from './page-loader.js';
+import { getCriteria } from './runners.js';
+
+// Issues are reported with this tool as test engine
+const KEYBOARD_RUNNER = { id: 'keyboard' };
+
+// Conformance level of each criterion the audit tests
+const CRITERIA_LEVELS = { '2.1.2': 'A', '2.4.3': 'A', '2.4.7': 'AA', '2.4.11': 'AA', '2.4.12': 'AAA' };
+
+// Time for focus styles and transitions to settle after each key press
+const FOCUS_SETTLE_MS = 100;
+
+/**
+ * Find the tabbable elements and remember how they look without focus. Runs in the page.
+ * State is kept on window for inspectFocus.
+ * @returns {number} Number of tabbable elements
+ */
+function prepareFocusAudit() {
+  const FOCUSABLE = 'a[href], area[href], button, input, select, textarea, iframe, summary, audio[controls], video[controls], [contenteditable]:not([contenteditable="false"]), [tabindex]';
+  const PROPERTIES = ['outlineStyle', 'outlineWidth', 'outlineColor', 'boxShadow', 'borderColor', 'borderWidth', 'backgroundColor', 'color', 'textDecorationLine', 'transform', 'opacity', 'content'];
+
+  // Focus styles may sit on the element, its pseudo-elements, its parent or the next
+  // sibling (custom checkboxes), so all of them are compared
+  const snapshot = (element) => [element, element.parentElement, element.nextElementSibling]
+    .filter(Boolean)
+    .flatMap(part => [getComputedStyle(part), getComputedStyle(part, '::before'), getComputedStyle(part, '::after')])
+    .map(style => PROPERTIES
+      .filter(property => style.outlineStyle !== 'none' || !property.startsWith('outline'))
+      .map(property => style[property])
+      .join('|'))
+    .join('#');
+
+  if (document.activeElement && document.activeElement !== document.body) {
+    document.activeElement.blur();
+  }
+  window.scrollTo(0, 0);
+
+  const tabbable = [...document.querySelectorAll(FOCUSABLE)].filter(element => element.tabIndex >= 0
+    && !element.disabled
+    && element.type !== 'hidden'
+    && !element.closest('[inert]'));
+
+  window.__wcagKeyboardAudit = {
+    snapshot,
+    unfocused: new Map(tabbable.map(element => [element, snapshot(element)])),
+    previous: null
+  };
+  return tabbable.filter(element => isVisible(element)).length;
+}
+
+/**
+ * Describe the focused element. Runs in the page after each Tab.
+ * @returns {Object|null} Focus stop, null when focus is on the document itself
+ */
+function inspectFocus() {
+  const state = window.__wcagKeyboardAudit;
+  let element = document.activeElement;
+  while (element?.shadowRoot?.activeElement) {
+    element = element.shadowRoot.activeElement;
+  }
+  if (!state || !element || element === document.body || element === document.documentElement) {
+    return null;
+  }
+
+  const rect = element.getBoundingClientRect();
+  const inViewport = rect.width > 0 && rect.height > 0
+    && rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+
+  // Sample the centre and corners: points covered by unrelated elements are hidden
+  let sampled = 0;
+  let covered = 0;
+  let coveredBy = null;
+  if (inViewport) {
+    const left = Math.max(rect.left, 0);
+    const top = Math.max(rect.top, 0);
+    const width = Math.min(rect.right, window.innerWidth) - left;
+    const height = Math.min(rect.bottom, window.innerHeight) - top;
+    for (const [fx, fy] of [[0.5, 0.5], [0.1, 0.1], [0.9, 0.1], [0.1, 0.9], [0.9, 0.9]]) {
+      const hit = document.elementFromPoint(left + width * fx, top + height * fy);
+      sampled++;
+      if (hit && hit !== element && !element.contains(hit) && !hit.contains(element)) {
+        covered++;
+        coveredBy = coveredBy || hit;
+      }
+    }
+  }
+
+  // Name the sticky or fixed container that covers the focus, not a leaf inside it
+  let cover = coveredBy;
+  for (let node = coveredBy; node && node !== document.body; node = node.parentElement) {
+    if (['fixed', 'sticky'].includes(getComputedStyle(node).position)) {
+      cover = node;
+      break;
+    }
+  }
+
+  const previous = state.previous;
+  state.previous = element;
+  const unfocused = state.unfocused.get(element);
+
+  return {
+    selector: selectorFor(element),
+    context: contextFor(element),
+    tag: element.tagName.toLowerCase(),
+    role: element.getAttribute('role') || '',
+    text: (element.getAttribute('aria-label') || element.innerText || element.value || element.getAttribute('alt') || element.title || element.getAttribute('placeholder') || '')
+      .trim().replace(/\s+/g, ' ').slice(0, 60),
+    tabIndex: element.tabIndex,
+    box: { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height },
+    inViewport,
+    focusVisible: unfocused === undefined ? null : state.snapshot(element) !== unfocused,
+    obscured: sampled > 0 && covered === sampled ? 'full' : covered > 0 ? 'partial' : 'none',
+    coveredBy: cover ? selectorFor(cover) : null,
+    backwardsInDom: Boolean(previous && previous.isConnected
+      && (element.compareDocumentPosition(previous) & Node.DOCUMENT_POSITION_FOLLOWING)),
+    inDialog: Boolean(element.closest('dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"]'))
+  };
+}
+
+export class KeyboardAuditor {
+  /**
+   * @param {string} standard - WCAG standard (WCAG2A, WCAG2AA, WCAG2AAA)
+   * @param {Object} [options] - Audit options
+   * @param {AuthSession} [options.session] - Authenticated session applied to the page
+   * @param {number} [options.maxTabs] - Maximum Tab presses before the audit stops
+   */
+  constructor(standard = 'WCAG2AA', options = {}) {
+    this.lease = null;
+    this.browser = null;
+    this.context = null;
+    this.standard = standard;
+    this.session = options.session || null;
+    this.maxTabs = options.maxTabs || config.keyboardMaxTabs;
+  }
+
+  /**
+   * Lease an incognito context on a shared browser
+   */
+  async init() {
+    if (!this.lease) {
+      this.lease = await browserPool.acquire();
+      this.browser = this.lease.browser;
+      this.context = this.lease.context;
+    }
+  }
+
+  /**
+   * Tab through a page and check the focus order
+   * @param {string} url - URL to audit
+   * @returns {Promise<Object>} { url, pageTitle, focusable, stops, ending, issues, timestamp }
+   */
+  async audit(url) {
+    await this.init();
+    logger.info(`Keyboard audit: ${url} (max ${this.maxTabs} Tab presses)`);
+
+    const page = await openPage(this.context, url, { session: this.session });
+    try {
+      const pageTitle = await page.title();
+      const focusable = await evaluateWithHelpers(page, prepareFocusAudit);
+
+      const stops = [];
+      const findings = [];
+      let ending = 'limit';
+
+      for (let press = 0; press < this.maxTabs; press++) {
+        const stop = await this._tab(page);
+
+        // Focus left the page after the last element
+        if (!stop) {
+          if (stops.length > 0 || press > 0) {
+            ending = stops.length > 0 ? 'end' : 'none';
+            break;
+          }
+          continue;
+        }
+
+        const seen = stops.findIndex(previous => previous.selector === stop.selector);
+        if (seen !== -1) {
+          const cycle = stops.slice(seen);
+          // Wrapping straight back to the first element is the end of the page, not a trap
+          if (seen === 0 && !cycle.every(cycleStop => cycleStop.inDialog)) {
+            ending = 'end';
+            break;
+          }
+          ending = await this._checkTrap(page, cycle, findings);
+          break;
+        }
+
+        stops.push({ ...stop, text: this._redact(stop.text), index: stops.length + 1 });
+        this._checkStop(stop, stops[stops.length - 2], findings);
+      }
+
+      logger.info(`Keyboard audit complete: ${stops.length} focus stops, ${findings.length} findings (${ending})`);
+
+      return {
+        url,
+        pageTitle,
+        focusable,
+        stops,
+        ending,
+        issues: findings
+          .filter(finding => isLevelIncluded(CRITERIA_LEVELS[finding.criterion], this.standard))
+          .map(finding => this._toIssue(finding)),
+        timestamp: new Date().toISOString()
+      };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Press Tab and describe where focus went
+   * @private
+   */
+  async _tab(page, modifier = null) {
+    if (modifier) {
+      await page.keyboard.down(modifier);
+    }
+    await page.keyboard.press('Tab');
+    if (modifier) {
+      await page.keyboard.up(modifier);
+    }
+    await new Promise(resolve => setTimeout(resolve, FOCUS_SETTLE_MS));
+    return evaluateWithHelpers(page, inspectFocus);
+  }
+
+  /**
+   * Check one focus stop for visibility, obscuring and order
+   * @private
+   */
+  _checkStop(stop, previous, findings) {
+    const at = { selector: stop.selector, context: stop.context };
+
+    if (!stop.inViewport) {
+      findings.push({
+        ...at,
+        criterion: '2.4.7',
+        technique: 'Keyboard.FocusOffScreen',
+        type: 'error',
+        impact: 'serious',
+        message: 'The focused element is outside the visible area or has no size, so keyboard users cannot see where focus is.'
+      });
+    } else if (stop.focusVisible === false) {
+      findings.push({
+        ...at,
+        criterion: '2.4.7',
+        technique: 'Keyboard.NoVisibleFocus',
+        type: 'error',
+        impact: 'serious',
+        message: 'No visible focus indicator: outline, border, shadow, background and text colour look the same with and without keyboard focus.'
+      });
+    }
+
+    if (stop.obscured === 'full') {
+      findings.push({
+        ...at,
+        criterion: '2.4.11',
+        technique: 'Keyboard.FocusObscured',
+        type: 'error',
+        impact: 'serious',
+        message: `The focused element is entirely hidden behind ${stop.coveredBy} (for example a sticky header, footer or cookie banner).`
+      });
+    } else if (stop.obscured === 'partial') {
+      findings.push({
+        ...at,
+        criterion: '2.4.12',
+        technique: 'Keyboard.FocusPartlyObscured',
+        type: 'warning',
+        impact: 'moderate',
+        message: `The focused element is partly hidden behind ${stop.coveredBy}.`
+      });
+    }
+
+    if (!previous) {
+      return;
+    }
+    if (stop.backwardsInDom) {
+      findings.push({
+        ...at,
+        criterion: '2.4.3',
+        technique: 'Keyboard.DomOrder',
+        type: 'warning',
+        impact: 'moderate',
+        message: `Focus moves backwards in the document from ${previous.selector}${stop.tabIndex > 0 ? ` because of tabindex="${stop.tabIndex}"` : ''}. Check that the order still makes sense.`
+      });
+    } else if (this._isVisuallyBackwards(previous.box, stop.box)) {
+      findings.push({
+        ...at,
+        criterion: '2.4.3',
+        technique: 'Keyboard.VisualOrder',
+        type: 'warning',
+        impact: 'moderate',
+        message: `Focus jumps up the page from ${previous.selector} within the same column, against the visual reading order (CSS order, grid or positioning).`
+      });
+    }
+  }
+
+  /**
+   * Whether the next box is above the previous one in the same column
+   * @private
+   */
+  _isVisuallyBackwards(from, to) {
+    const sameColumn = Math.min(from.x + from.width, to.x + to.width) - Math.max(from.x, to.x) > 0;
+    return sameColumn && to.y + to.height < from.y;
+  }
+
+  /**
+   * Focus returned to an element it already visited without leaving the page.
+   * Try Shift+Tab and Escape before calling it a trap; dialogs may hold focus
+   * as long as Escape releases it.
+   * @private
+   * @returns {Promise<string>} How traversal ended: 'trap', 'escape' or 'dialog'
+   */
+  async _checkTrap(page, cycle, findings) {
+    const inCycle = new Set(cycle.map(stop => stop.selector));
+    const escaped = async (modifier) => {
+      for (let press = 0; press <= cycle.length; press++) {
+        const stop = await this._tab(page, modifier);
+        if (!stop || !inCycle.has(stop.selector)) {
+          return true;
+        }
+      }
+      return false;
+    };
+
+    const names = cycle.slice(0, 5).map(stop => stop.selector).join(', ') + (cycle.length > 5 ? ', ...' : '');
+    const at = { selector: cycle[0].selector, context: cycle[0].context, criterion: '2.1.2', technique: 'Keyboard.Trap' };
+    const inDialog = cycle.every(stop => stop.inDialog);
+
+    if (!inDialog && await escaped('Shift')) {
+      // Shift+Tab gets out, Tab does not: everything after the cycle is unreachable
+      findings.push({
+        ...at,
+        type: 'error',
+        impact: 'serious',
+        message: `Keyboard focus is trapped going forward: Tab cycles through ${cycle.length} element(s) (${names}) and only Shift+Tab moves back out, so content after them cannot be reached.`
+      });
+      return 'trap';
+    }
+
+    await page.keyboard.press('Escape');
+    if (await escaped(null)) {
+      if (inDialog) {
+        return 'dialog';
+      }
+      findings.push({
+        ...at,
+        type: 'warning',
+        impact: 'serious',
+        message: `Tab cycles through ${cycle.length} element(s) (${names}); focus only leaves after pressing Escape. Tell users how to leave, or let Tab move on.`
+      });
+      return 'escape';
+    }
+
+    findings.push({
+      ...at,
+      type: 'error',
+      impact: 'critical',
+      message: `Keyboard focus is trapped: Tab cycles through ${cycle.length} element(s) (${names}) and neither Tab, Shift+Tab nor Escape moves focus out.`
+    });
+    return 'trap';
+  }
+
+  /**
+   * @private
+   */
+  _toIssue(finding) {
+    const issue = toIssue(KEYBOARD_RUNNER, finding, this.standard);
+    issue.message = this._redact(issue.message);
+    issue.context = this._redact(issue.context);
+    return { ...issue, criteria: getCriteria(issue), runners: [issue.runner] };
+  }
+
+  /**
+   * Keep session secrets (e.g. prefilled user data) out of reports
+   * @private
+   */
+  _redact(text) {
+    return this.session ? this.session.redact(text) : text;
+  }
+
+  /**
+   * Close the context and return the browser to the pool
+   */
+  async close() {
+    if (this.lease) {
+      await this.lease.release();
+      this.lease = null;
+      this.browser = null;
+      this.context = null;
+    }
+  }
+}
+
+export default KeyboardAuditor;
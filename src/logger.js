@@ -6,6 +6,59 @@ import config from './config.js';
 
 const { combine, timestamp, printf, colorize, errors } = winston.format;
 
+// Secret values (passwords, tokens, cookies) that must never be written to logs,
+// reference-counted since concurrent sessions may share a value
+const secrets = new Map();
+
+/**
+ * Register a secret value to be masked in log output and reports
+ * @param {string} value - Secret value
+ */
+export function registerSecret(value) {
+  // Very short values would mask unrelated text
+  if (typeof value === 'string' && value.length >= 4) {
+    secrets.set(value, (secrets.get(value) || 0) + 1);
+  }
+}
+
+/**
+ * Stop masking a secret value
+ * @param {string} value - Secret value
+ */
+export function unregisterSecret(value) {
+  const count = secrets.get(value) || 0;
+  if (count <= 1) {
+    secrets.delete(value);
+  } else {
+    secrets.set(value, count - 1);
+  }
+}
+
+/**
+ * Mask registered secret values in a string
+ * @param {string} text - Text that may contain secrets
+ * @returns {string} Text with secrets replaced by ***
+ */
+export function redactSecrets(text) {
+  if (typeof text !== 'string' || secrets.size === 0) {
+    return text;
+  }
+  let redacted = text;
+  for (const secret of secrets.keys()) {
+    redacted = redacted.split(secret).join('***');
+  }
+  return redacted;
+}
+
+// Mask secrets in message and stack before formatting
+const redact = winston.format((info) => {
+  info.message = redactSecrets(info.message);
+  if (info.stack) {
+    info.stack = redactSecrets(info.stack);
+  }
+  return info;
+});
+
 // Custom log format
 const logFormat = printf(({ level, message, timestamp, stack }) => {
   return `${timestamp} [${level}]: ${stack || message}`;
@@ -16,6 +69,7 @@ export const logger = winston.createLogger({
   level: config.logLevel,
   format: combine(
     errors({ stack: true }),
+    redact(),
     timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     logFormat
   ),
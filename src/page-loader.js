@@ -0,0 +1,95 @@
+/**
+ * Page loading shared by the analyzer (before pa11y runs) and the other page tools
+ */
+import config from './config.js';
+import logger from './logger.js';
+import { settlePage } from './stabilizer.js';
+
+/**
+ * Add cache-busting parameter to URL
+ * @param {string} url - URL to load
+ * @returns {string} URL with a unique query parameter (unchanged if it cannot be parsed)
+ */
+export function addCacheBuster(url) {
+  try {
+    const urlObj = new URL(url);
+    urlObj.searchParams.set('_wcag_cache_bust', Date.now());
+    return urlObj.toString();
+  } catch {
+    // If URL parsing fails, return original
+    return url;
+  }
+}
+
+/**
+ * Load a URL in a page with the same settings pa11y uses for analysis: user agent,
+ * viewport, session headers and cookies, load event, then wait until it has settled
+ * @param {import('puppeteer').Page} page - New page
+ * @param {string} url - URL to load
+ * @param {Object} [options] - Load options
+ * @param {AuthSession} [options.session] - Authenticated session applied before navigation
+ * @param {Object} [options.viewport] - Puppeteer viewport (default: VIEWPORT_WIDTH x VIEWPORT_HEIGHT)
+ * @param {Object} [options.ready] - Ready selectors and expressions (see settlePage)
+ * @param {boolean} [options.bypassServiceWorker] - Send every request to the network, past any
+ *   service worker, so request interception sees it
+ * @returns {Promise<Object>} Settle result { strategy, time, timedOut, pending }
+ */
+export async function loadPage(page, url, options = {}) {
+  await page.setUserAgent(config.pa11yConfig.userAgent);
+  await page.setViewport(options.viewport || config.pa11yConfig.chromeLaunchConfig.defaultViewport);
+  if (options.session) {
+    await options.session.applyToPage(page);
+  }
+  if (options.bypassServiceWorker) {
+    await page.setBypassServiceWorker(true);
+  }
+
+  const cacheBustUrl = addCacheBuster(url);
+  logger.debug(`Cache-bust URL: ${cacheBustUrl}`);
+  await page.goto(cacheBustUrl, {
+    waitUntil: config.pa11yConfig.waitUntil,
+    timeout: config.pa11yConfig.timeout
+  });
+
+  return settlePage(page, options.ready);
+}
+
+/**
+ * Open a page and load a URL in it (see loadPage)
+ * @param {import('puppeteer').BrowserContext} context - Browser context to open the page in
+ * @param {string} url - URL to load
+ * @param {Object} [options] - Load options, as for loadPage
+ * @returns {Promise<import('puppeteer').Page>} Loaded page; the caller closes it
+ */
+export async function openPage(context, url, options = {}) {
+  const page = await context.newPage();
+
+  try {
+    await loadPage(page, url, options);
+    return page;
+  } catch (error) {
+    await page.close().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Open a page with an HTML document instead of a URL
+ * @param {import('puppeteer').BrowserContext} context - Browser context to open the page in
+ * @param {string} html - Complete document or fragment
+ * @param {Object} [options] - Load options
+ * @param {Object} [options.viewport] - Puppeteer viewport (default: VIEWPORT_WIDTH x VIEWPORT_HEIGHT)
+ * @returns {Promise<import('puppeteer').Page>} Loaded page; the caller closes it
+ */
+export async function openHtml(context, html, options = {}) {
+  const page = await context.newPage();
+
+  try {
+    await page.setViewport(options.viewport || config.pa11yConfig.chromeLaunchConfig.defaultViewport);
+    await page.setContent(html, { waitUntil: 'load', timeout: config.pa11yConfig.timeout });
+    return page;
+  } catch (error) {
+    await page.close().catch(() => {});
+    throw error;
+  }
+}
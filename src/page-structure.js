@@ -0,0 +1,310 @@
+/**
+ * Page structure: heading outline, landmark regions and skip links,
+ * checked against 1.3.1 Info and Relationships, 2.4.1 Bypass Blocks
+ * and 2.4.6 Headings and Labels
+ */
+import { browserPool } from './browser-pool.js';
+import { toIssue } from './checks/index.js';
+import { evaluateWithHelpers } from './checks/dom.js';
+import config from './config.js';
+import logger from './logger.js';
+import { openHtml, openPage } from './page-loader.js';
+import { getCriteria } from './runners.js';
+
+// Issues are reported with this tool as test engine
+const STRUCTURE_RUNNER = { id: 'structure' };
+
+/**
+ * Collect headings, landmarks and skip links as assistive technology sees them. Runs in the page.
+ * @returns {Object} { headings, landmarks, skipLinks }
+ */
+function extractStructure() {
+  // Hidden from everyone, as opposed to visually hidden text that screen readers still read
+  const isExposed = (element) => !element.closest('[aria-hidden="true"], [hidden]')
+    && (!element.checkVisibility || element.checkVisibility({ visibilityProperty: true }));
+
+  const nameOf = (element) => {
+    const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+      .map(id => document.getElementById(id)?.textContent || '')
+      .join(' ');
+    return (labelledBy || element.getAttribute('aria-label') || element.getAttribute('title') || '')
+      .replace(/\s+/g, ' ').trim();
+  };
+
+  // aria-level must be a positive integer; anything else means the default level 2
+  const ariaLevel = (element) => {
+    const level = Number(element.getAttribute('aria-level'));
+    return Number.isInteger(level) && level >= 1 ? level : 2;
+  };
+
+  const headings = [...document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]')]
+    .filter(isExposed)
+    .map(element => ({
+      level: element.getAttribute('role') === 'heading'
+        ? ariaLevel(element)
+        : parseInt(element.tagName.slice(1)),
+      text: (element.getAttribute('aria-label') || element.textContent).replace(/\s+/g, ' ').trim().slice(0, 120),
+      visuallyHidden: !isVisible(element),
+      selector: selectorFor(element),
+      context: contextFor(element)
+    }));
+
+  // header/footer are only banner/contentinfo outside sectioning content;
+  // form and section are only landmarks with an accessible name
+  const SECTIONING = 'article, aside, main, nav, section, [role="article"], [role="complementary"], [role="main"], [role="navigation"], [role="region"]';
+  const landmarkRole = (element) => {
+    const role = element.getAttribute('role');
+    if (role) {
+      return ['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'form', 'region', 'search'].includes(role) ? role : null;
+    }
+    switch (element.tagName.toLowerCase()) {
+      case 'header': return element.parentElement.closest(SECTIONING) ? null : 'banner';
+      case 'footer': return element.parentElement.closest(SECTIONING) ? null : 'contentinfo';
+      case 'nav': return 'navigation';
+      case 'main': return 'main';
+      case 'aside': return 'complementary';
+      case 'search': return 'search';
+      case 'form': return nameOf(element) ? 'form' : null;
+      case 'section': return nameOf(element) ? 'region' : null;
+      default: return null;
+    }
+  };
+
+  const landmarkElements = [];
+  const landmarks = [];
+  for (const element of document.querySelectorAll('header, footer, nav, main, aside, search, form, section, [role]')) {
+    const role = landmarkRole(element);
+    if (!role || !isExposed(element)) {
+      continue;
+    }
+    landmarks.push({
+      role,
+      name: nameOf(element),
+      depth: landmarkElements.filter(outer => outer.contains(element)).length,
+      selector: selectorFor(element),
+      context: contextFor(element)
+    });
+    landmarkElements.push(element);
+  }
+
+  // Skip links: same-page links among the first focusable elements, or named like one
+  const SKIP_TEXT = /skip|jump to|hopp|gå til|til (hoved)?innhold|main content/i;
+  const firstLinks = [...document.querySelectorAll('a[href], button, input, select, textarea, [tabindex]')]
+    .filter(element => element.tabIndex >= 0)
+    .slice(0, 3);
+  const skipLinks = [...document.querySelectorAll('a[href^="#"]')]
+    .filter(link => firstLinks.includes(link) || SKIP_TEXT.test(link.textContent))
+    .filter(link => link.getAttribute('href') !== '#' || SKIP_TEXT.test(link.textContent))
+    .map(link => {
+      const fragment = link.getAttribute('href').slice(1);
+      let id = fragment;
+      try {
+        id = decodeURIComponent(fragment);
+      } catch {
+        // Malformed escape ("#%"): look the raw fragment up, so it is reported as a broken target
+      }
+      return {
+        text: (link.getAttribute('aria-label') || link.textContent).replace(/\s+/g, ' ').trim(),
+        target: `#${id}`,
+        targetFound: Boolean(id && (document.getElementById(id) || document.getElementsByName(id)[0])),
+        selector: selectorFor(link),
+        context: contextFor(link)
+      };
+    });
+
+  return { headings, landmarks, skipLinks };
+}
+
+export class PageStructureInspector {
+  /**
+   * @param {string} standard - WCAG standard used as issue code prefix
+   * @param {Object} [options] - Inspector options
+   * @param {AuthSession} [options.session] - Authenticated session applied to the page
+   */
+  constructor(standard = 'WCAG2AA', options = {}) {
+    this.lease = null;
+    this.browser = null;
+    this.context = null;
+    this.standard = standard;
+    this.session = options.session || null;
+  }
+
+  /**
+   * Lease an incognito context on a shared browser
+   */
+  async init() {
+    if (!this.lease) {
+      this.lease = await browserPool.acquire();
+      this.browser = this.lease.browser;
+      this.context = this.lease.context;
+    }
+  }
+
+  /**
+   * Extract and check the structure of a URL or an HTML document
+   * @param {Object} source - { url } or { html }
+   * @returns {Promise<Object>} { source, pageTitle, headings, landmarks, skipLinks, issues, timestamp }
+   */
+  async inspect(source) {
+    await this.init();
+    logger.info(`Page structure: ${source.url || 'HTML snippet'}`);
+
+    const page = source.url
+      ? await openPage(this.context, source.url, { session: this.session })
+      : await openHtml(this.context, source.html);
+    try {
+      const structure = await evaluateWithHelpers(page, extractStructure);
+      for (const item of [...structure.headings, ...structure.landmarks, ...structure.skipLinks]) {
+        item.text = this._redact(item.text);
+        item.name = this._redact(item.name);
+        item.context = this._redact(item.context);
+      }
+
+      const issues = this._check(structure).map(finding => {
+        const issue = toIssue(STRUCTURE_RUNNER, finding, this.standard);
+        return { ...issue, criteria: getCriteria(issue), runners: [issue.runner] };
+      });
+      logger.info(`Page structure: ${structure.headings.length} headings, ${structure.landmarks.length} landmarks, ${issues.length} issues`);
+
+      return {
+        source: source.url || 'HTML',
+        pageTitle: await page.title(),
+        ...structure,
+        issues,
+        timestamp: new Date().toISOString()
+      };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Findings for headings, landmarks and skip links
+   * @private
+   */
+  _check({ headings, landmarks, skipLinks }) {
+    const findings = [];
+
+    // Headings: empty ones say nothing (2.4.6), skipped levels break the outline (1.3.1)
+    let previousLevel = 0;
+    for (const heading of headings) {
+      const at = { selector: heading.selector, context: heading.context };
+      if (!heading.text) {
+        findings.push({
+          ...at,
+          criterion: '2.4.6',
+          technique: 'Structure.EmptyHeading',
+          type: 'error',
+          impact: 'serious',
+          message: `Empty h${heading.level} heading: screen reader users hear a heading with no text.`
+        });
+      }
+      if (heading.level > previousLevel + 1) {
+        findings.push({
+          ...at,
+          criterion: '1.3.1',
+          technique: 'Structure.SkippedHeadingLevel',
+          type: 'warning',
+          impact: 'moderate',
+          message: previousLevel === 0
+            ? `The first heading is h${heading.level}; the outline should start at h1.`
+            : `Heading level skipped: h${heading.level} "${heading.text}" follows h${previousLevel}.`
+        });
+      }
+      previousLevel = heading.level;
+    }
+
+    // Main landmark: the standard way to bypass repeated blocks (2.4.1)
+    const mains = landmarks.filter(landmark => landmark.role === 'main');
+    const workingSkipLink = skipLinks.some(link => link.targetFound);
+    if (mains.length === 0) {
+      findings.push({
+        selector: 'html',
+        context: '',
+        criterion: '2.4.1',
+        technique: 'Structure.NoMainLandmark',
+        type: workingSkipLink ? 'warning' : 'error',
+        impact: workingSkipLink ? 'moderate' : 'serious',
+        message: workingSkipLink
+          ? 'The page has no main landmark (<main> or role="main"). A skip link exists, but screen reader users cannot jump to the content by landmark.'
+          : 'The page has no main landmark (<main> or role="main") and no working skip link, so there is no way to bypass repeated content.'
+      });
+    } else if (mains.length > 1) {
+      for (const main of mains.slice(1)) {
+        findings.push({
+          selector: main.selector,
+          context: main.context,
+          criterion: '1.3.1',
+          technique: 'Structure.MultipleMainLandmarks',
+          type: 'warning',
+          impact: 'moderate',
+          message: `The page has ${mains.length} main landmarks; there should be only one visible main region.`
+        });
+      }
+    }
+
+    // Landmarks of the same role need distinct names to be told apart (1.3.1)
+    const byRole = {};
+    for (const landmark of landmarks) {
+      (byRole[landmark.role] = byRole[landmark.role] || []).push(landmark);
+    }
+    for (const [role, group] of Object.entries(byRole)) {
+      if (group.length < 2 || role === 'main') {
+        continue;
+      }
+      for (const landmark of group) {
+        const duplicateName = landmark.name && group.filter(other => other.name === landmark.name).length > 1;
+        if (!landmark.name || duplicateName) {
+          findings.push({
+            selector: landmark.selector,
+            context: landmark.context,
+            criterion: '1.3.1',
+            technique: role === 'navigation' ? 'Structure.UnlabelledNavigation' : 'Structure.UnlabelledLandmark',
+            type: 'warning',
+            impact: 'moderate',
+            message: landmark.name
+              ? `${group.length} ${role} landmarks share the name "${landmark.name}"; give each a distinct aria-label.`
+              : `${group.length} ${role} landmarks on the page, and this one has no name; add aria-label or aria-labelledby to tell them apart.`
+          });
+        }
+      }
+    }
+
+    // Skip links must lead somewhere (2.4.1)
+    for (const link of skipLinks.filter(skipLink => !skipLink.targetFound)) {
+      findings.push({
+        selector: link.selector,
+        context: link.context,
+        criterion: '2.4.1',
+        technique: 'Structure.BrokenSkipLink',
+        type: 'error',
+        impact: 'serious',
+        message: `Skip link "${link.text}" points to ${link.target}, but no element has that id.`
+      });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Keep session secrets (e.g. prefilled user data) out of reports
+   * @private
+   */
+  _redact(text) {
+    return this.session && text ? this.session.redact(text) : text;
+  }
+
+  /**
+   * Close the context and return the browser to the pool
+   */
+  async close() {
+    if (this.lease) {
+      await this.lease.release();
+      this.lease = null;
+      this.browser = null;
+      this.context = null;
+    }
+  }
+}
+
+export default PageStructureInspector;
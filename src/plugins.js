@@ -0,0 +1,213 @@
+/**
+ * Rule plugins: organization-specific checks (design system conventions and the like)
+ * loaded from PLUGINS_DIR. Each plugin runs in the analyzed page like a browser check,
+ * so its findings are grouped, rated and mapped to the Excel checklist like pa11y issues.
+ *
+ * Plugin module (default export):
+ *   {
+ *     id: 'ds-button-label',
+ *     criterion: '4.1.2',
+ *     severity: 'error' | 'warning' | 'notice',
+ *     level?: 'A' | 'AA' | 'AAA',      // looked up from the criterion if left out
+ *     impact?: 'critical' | 'serious' | 'moderate' | 'minor',
+ *     description?: 'Default message for findings without one',
+ *     fix?: 'How to fix (shown by check_html_code)',
+ *     page?() -> findings[],            // runs in the page; selectorFor, contextFor, isVisible in scope
+ *     html?(html) -> findings[]         // runs in Node on HTML source (check_html_code); may be async
+ *   }
+ * Finding: { message?, selector?, context?, impact? }
+ */
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { CHECKS } from './checks/index.js';
+import { evaluateWithHelpers } from './checks/dom.js';
+import config from './config.js';
+import { IMPACT_LEVELS } from './impact.js';
+import logger from './logger.js';
+import { RUNNERS } from './runners.js';
+import { OFFICIAL_WCAG_21 } from './wcag-data.js';
+
+const SEVERITIES = ['error', 'warning', 'notice'];
+const LEVELS = ['A', 'AA', 'AAA'];
+
+// Findings per plugin and page, so a broad selector cannot flood the report
+const MAX_FINDINGS = 50;
+
+// Loaded once per directory; module imports are cached by Node anyway
+const loaded = new Map();
+
+/**
+ * Source of a page() function that can be sent to the page as an expression.
+ * Method shorthand (`page() { ... }`) is not a valid expression on its own.
+ * @param {Function} fn - The plugin's page function
+ * @returns {string} Function expression
+ */
+function pageSource(fn) {
+  const source = fn.toString();
+  return /^(async\s*)?(function\b|\(|[\w$]+\s*=>)/.test(source)
+    ? source
+    : source.replace(/^(async\s+)?/, '$1function ');
+}
+
+/**
+ * Validate a plugin module and turn it into a check
+ * @param {Object} plugin - Default export of the module
+ * @param {string} file - File name, for error messages
+ * @returns {Object} Check { id, criterion, level, run?, html?, fix }
+ */
+function toCheck(plugin, file) {
+  const label = `Plugin ${file}`;
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error(`${label} must export a rule object as default export`);
+  }
+  if (!/^[a-z0-9][a-z0-9-]*$/i.test(plugin.id || '')) {
+    throw new Error(`${label} needs an id of letters, digits and dashes`);
+  }
+  if (CHECKS[plugin.id] || RUNNERS.includes(plugin.id)) {
+    throw new Error(`${label} uses the id "${plugin.id}" of a built-in check or test engine`);
+  }
+  if (!/^\d+\.\d+\.\d+$/.test(plugin.criterion || '')) {
+    throw new Error(`${label} needs a WCAG criterion such as "4.1.2"`);
+  }
+  const level = plugin.level || OFFICIAL_WCAG_21[plugin.criterion]?.level;
+  if (!LEVELS.includes(level)) {
+    throw new Error(`${label} has an unknown criterion "${plugin.criterion}"; set level (use ${LEVELS.join(', ')})`);
+  }
+  if (!SEVERITIES.includes(plugin.severity)) {
+    throw new Error(`${label} has an unknown severity "${plugin.severity}" (use ${SEVERITIES.join(', ')})`);
+  }
+  if (plugin.impact && !IMPACT_LEVELS.includes(plugin.impact)) {
+    throw new Error(`${label} has an unknown impact "${plugin.impact}" (use ${IMPACT_LEVELS.join(', ')})`);
+  }
+  if (typeof plugin.page !== 'function' && typeof plugin.html !== 'function') {
+    throw new Error(`${label} needs a page() or html() function`);
+  }
+
+  // Findings become HTML_CodeSniffer-style codes, e.g. "WCAG2AA.Principle4.Guideline4_1.4_1_2.Plugin.ds-button-label"
+  const describe = (finding) => ({
+    technique: `Plugin.${plugin.id}`,
+    type: plugin.severity,
+    message: finding.message || plugin.description || plugin.id,
+    selector: finding.selector || '',
+    context: finding.context || '',
+    impact: finding.impact || plugin.impact
+  });
+
+  const check = {
+    id: plugin.id,
+    criterion: plugin.criterion,
+    level,
+    fix: plugin.fix || '',
+    describe
+  };
+  if (typeof plugin.page === 'function') {
+    const source = pageSource(plugin.page);
+    check.run = async (page) => {
+      const findings = await evaluateWithHelpers(page, source);
+      if (!Array.isArray(findings)) {
+        throw new Error('page() must return a list of findings');
+      }
+      return findings.slice(0, MAX_FINDINGS).map(describe);
+    };
+  }
+  if (typeof plugin.html === 'function') {
+    check.html = plugin.html;
+  }
+  return check;
+}
+
+/**
+ * Load the rule plugins in PLUGINS_DIR (every .js and .mjs file)
+ * @param {string|null} [dir] - Plugin directory
+ * @returns {Promise<Object[]>} Checks, in file name order; empty without a directory
+ */
+export async function loadPlugins(dir = config.pluginsDir) {
+  if (!dir) {
+    return [];
+  }
+  if (!loaded.has(dir)) {
+    loaded.set(dir, (async () => {
+      let files;
+      try {
+        files = (await readdir(dir)).filter(file => /\.m?js$/.test(file)).sort();
+      } catch (error) {
+        throw new Error(`Cannot read PLUGINS_DIR ${dir}: ${error.message}`);
+      }
+
+      const checks = [];
+      for (const file of files) {
+        let module;
+        try {
+          module = await import(pathToFileURL(path.resolve(dir, file)).href);
+        } catch (error) {
+          throw new Error(`Plugin ${file} could not be loaded: ${error.message}`);
+        }
+        const check = toCheck(module.default, file);
+        if (checks.some(other => other.id === check.id)) {
+          throw new Error(`Plugin ${file} uses the id "${check.id}" of another plugin`);
+        }
+        checks.push(check);
+      }
+
+      logger.info(`Loaded ${checks.length} rule plugins from ${dir}: ${checks.map(check => check.id).join(', ') || 'none'}`);
+      return checks;
+    })());
+  }
+
+  try {
+    return await loaded.get(dir);
+  } catch (error) {
+    // Fixing the plugin should not need a restart
+    loaded.delete(dir);
+    throw error;
+  }
+}
+
+/**
+ * Run the plugins that check static HTML, in the format of check_html_code's built-in rules
+ * @param {Object[]} plugins - Checks from loadPlugins
+ * @param {string} html - HTML source
+ * @returns {Promise<Object[]>} { severity, wcag, issue, fix, occurrences, examples, plugin }
+ */
+export async function checkHtmlWithPlugins(plugins, html) {
+  const issues = [];
+
+  for (const plugin of plugins.filter(check => check.html)) {
+    let findings;
+    try {
+      findings = await plugin.html(html);
+      if (!Array.isArray(findings)) {
+        throw new Error('html() must return a list of findings');
+      }
+    } catch (error) {
+      logger.warn(`Plugin ${plugin.id} failed: ${error.message}`);
+      continue;
+    }
+
+    // One entry per message, like one entry per built-in rule
+    const byMessage = new Map();
+    for (const finding of findings.map(plugin.describe)) {
+      const entry = byMessage.get(finding.message) || [];
+      entry.push(finding);
+      byMessage.set(finding.message, entry);
+    }
+    for (const [message, group] of byMessage) {
+      issues.push({
+        severity: group[0].type === 'notice' ? 'info' : group[0].type,
+        wcag: plugin.criterion,
+        issue: message,
+        fix: plugin.fix,
+        occurrences: group.length,
+        examples: group.slice(0, 2).map(finding => finding.context)
+          .filter(Boolean)
+          .map(example => example.substring(0, 100) + (example.length > 100 ? '...' : '')),
+        plugin: plugin.id
+      });
+    }
+  }
+
+  return issues;
+}
+
+export default loadPlugins;
@@ -4,11 +4,14 @@
 import ExcelJS from 'exceljs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { compareImpact, compareIssues } from './impact.js';
 import logger from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const IMPACT_LABELS = { critical: 'Kritisk', serious: 'Alvorlig', moderate: 'Moderat', minor: 'Mindre' };
+
 export class ExcelReporter {
   constructor() {
     this.webTemplatePath = path.join(__dirname, 'contents', 'WCAG-sjekkliste-web.xlsx');
@@ -19,9 +22,13 @@ export class ExcelReporter {
    * Generate Excel report from analysis results
    * @param {Object} analysis - Analysis results from WCAGAnalyzer
    * @param {string} checklistType - 'WEB' or 'APP'
+   * @param {Object} [options] - Report options
+   * @param {string} [options.sortBy='impact'] - Issue order: 'impact' or 'criterion'
    * @returns {Promise<ExcelJS.Workbook>} Populated workbook
    */
-  async generateReport(analysis, checklistType = 'WEB') {
+  async generateReport(analysis, checklistType = 'WEB', options = {}) {
+    const { sortBy = 'impact' } = options;
+
     try {
       logger.info(`Generating Excel report (${checklistType})...`);
       
@@ -40,6 +47,30 @@ export class ExcelReporter {
       // Update worksheet with findings
       this._updateWorksheet(worksheet, violationsByCriteria, analysis);
       
+      // Add issue list with impact, filterable and sortable in Excel
+      this._addIssueSheet(workbook, analysis, sortBy);
+      
+      // Add screenshots when they were captured
+      const pages = analysis.pageAnalyses || [analysis];
+      if (pages.some(page => page.screenshots || page.issues.some(issue => issue.screenshot))) {
+        this._addScreenshotSheet(workbook, pages);
+      }
+      
+      // Add suppressed issues so what was left out stays auditable
+      if (pages.some(page => page.suppressed?.length > 0) || analysis.expiredSuppressions?.length > 0) {
+        this._addSuppressedSheet(workbook, pages, analysis.expiredSuppressions || []);
+      }
+      
+      // Add criteria above the tested standard (2.5.5 below WCAG2AAA); the checklist has no rows for them
+      if (pages.some(page => page.informational?.length > 0)) {
+        this._addInformationalSheet(workbook, pages);
+      }
+      
+      // Add sample sheet when pages were picked by template clustering
+      if (analysis.pageAnalyses?.some(page => page.cluster)) {
+        this._addSampleSheet(workbook, analysis);
+      }
+      
       // Add disclaimer sheet
       this._addDisclaimerSheet(workbook, analysis);
       
@@ -71,46 +102,26 @@ export class ExcelReporter {
     logger.info(`Processing ${allIssues.length} total issues`);
     
     for (const issue of allIssues) {
+      // Criteria resolved by the analyzer (covers axe rules, whose codes hold no criterion)
+      if (issue.criteria?.length > 0) {
+        for (const criterion of issue.criteria) {
+          this._addViolation(violationsByCriteria, criterion, issue);
+        }
+        continue;
+      }
+      
       // Extract WCAG criterion from issue code
       // Example: "WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail" -> "1.4.3"
       const wcagMatch = issue.code?.match(/Principle(\d)\.Guideline(\d+)_(\d+)\.(\d+)_(\d+)_(\d+)/);
       
       if (wcagMatch) {
-        const [, principle, guideline1, guideline2, sc1, sc2, sc3] = wcagMatch;
-        const criterion = `${sc1}.${sc2}.${sc3}`;
-        
-        if (!violationsByCriteria[criterion]) {
-          violationsByCriteria[criterion] = {
-            principle: `Prinsipp ${principle}`,
-            criterion: criterion,
-            issues: []
-          };
-        }
-        
-        violationsByCriteria[criterion].issues.push({
-          type: issue.type,
-          message: issue.message,
-          selector: issue.selector,
-          affectedElements: issue.affectedElements || 1
-        });
+        const [, , , , sc1, sc2, sc3] = wcagMatch;
+        this._addViolation(violationsByCriteria, `${sc1}.${sc2}.${sc3}`, issue);
       } else {
         // Try alternative format
         const altMatch = issue.code?.match(/(\d+)\.(\d+)\.(\d+)/);
         if (altMatch) {
-          const criterion = `${altMatch[1]}.${altMatch[2]}.${altMatch[3]}`;
-          if (!violationsByCriteria[criterion]) {
-            violationsByCriteria[criterion] = {
-              principle: `Prinsipp ${altMatch[1]}`,
-              criterion: criterion,
-              issues: []
-            };
-          }
-          violationsByCriteria[criterion].issues.push({
-            type: issue.type,
-            message: issue.message,
-            selector: issue.selector,
-            affectedElements: issue.affectedElements || 1
-          });
+          this._addViolation(violationsByCriteria, `${altMatch[1]}.${altMatch[2]}.${altMatch[3]}`, issue);
         } else {
           logger.debug(`Could not extract WCAG criterion from: ${issue.code}`);
         }
@@ -120,6 +131,29 @@ export class ExcelReporter {
     return violationsByCriteria;
   }
 
+  /**
+   * Add an issue to its success criterion
+   * @private
+   */
+  _addViolation(violationsByCriteria, criterion, issue) {
+    if (!violationsByCriteria[criterion]) {
+      violationsByCriteria[criterion] = {
+        principle: `Prinsipp ${criterion.split('.')[0]}`,
+        criterion: criterion,
+        issues: []
+      };
+    }
+    
+    violationsByCriteria[criterion].issues.push({
+      type: issue.type,
+      message: issue.message,
+      selector: issue.selector,
+      affectedElements: issue.affectedElements || 1,
+      runners: issue.runners || [issue.runner].filter(Boolean),
+      impact: issue.impact
+    });
+  }
+
   /**
    * Update worksheet with violation data
    * @private
@@ -133,14 +167,14 @@ export class ExcelReporter {
     for (let rowNum = 6; rowNum <= worksheet.rowCount; rowNum++) {
       const row = worksheet.getRow(rowNum);
       
-      // Get success criterion from column C (index 3)
-      const cellC = row.getCell(3);
+      // Get success criterion from column D (index 4)
+      const cellD = row.getCell(4);
       let criterionText = '';
       
-      if (cellC.value && typeof cellC.value === 'object' && cellC.value.text) {
-        criterionText = cellC.value.text;
-      } else if (typeof cellC.value === 'string') {
-        criterionText = cellC.value;
+      if (cellD.value && typeof cellD.value === 'object' && cellD.value.text) {
+        criterionText = cellD.value.text;
+      } else if (typeof cellD.value === 'string') {
+        criterionText = cellD.value;
       }
       
       // Extract criterion number (e.g., "1.1.1" from "1.1.1 Ikke-tekstlig innhold")
@@ -154,8 +188,8 @@ export class ExcelReporter {
           const errorCount = violations.issues.filter(i => i.type === 'error').length;
           const warningCount = violations.issues.filter(i => i.type === 'warning').length;
           
-          // Update status column (D) - was "Ikke sjekket", now show result
-          const statusCell = row.getCell(4);
+          // Update status column (E) - was "Ikke sjekket", now show result
+          const statusCell = row.getCell(5);
           if (errorCount > 0) {
             statusCell.value = 'Ikke oppfylt';
             statusCell.font = { color: { argb: 'FFFF0000' }, bold: true }; // Red, bold
@@ -186,8 +220,9 @@ export class ExcelReporter {
             `- Berørte elementer: ${totalElements}`,
             '',
             'Detaljer:',
-            ...violations.issues.slice(0, 3).map(issue => 
-              `• ${issue.message.substring(0, 100)}${issue.message.length > 100 ? '...' : ''}`
+            ...[...violations.issues].sort((a, b) => compareImpact(a.impact, b.impact)).slice(0, 3).map(issue => 
+              `• ${issue.impact ? `[${IMPACT_LABELS[issue.impact]}] ` : ''}${issue.message.substring(0, 100)}${issue.message.length > 100 ? '...' : ''}` +
+              (issue.runners.length > 0 ? ` [${issue.runners.join(' + ')}]` : '')
             )
           ].join('\n');
           
@@ -213,6 +248,232 @@ export class ExcelReporter {
     summaryRow.font = { bold: true, size: 11 };
   }
 
+  /**
+   * Add sheet listing every issue with its impact
+   * @private
+   */
+  _addIssueSheet(workbook, analysis, sortBy) {
+    const sheet = workbook.addWorksheet('Problemer');
+    const pages = analysis.pageAnalyses || [{ url: analysis.url, issues: analysis.issues }];
+    
+    sheet.columns = [
+      { header: 'Alvorlighetsgrad', key: 'impact', width: 16 },
+      { header: 'WCAG', key: 'criteria', width: 12 },
+      { header: 'Side', key: 'url', width: 50 },
+      { header: 'Problem', key: 'message', width: 70 },
+      { header: 'Type', key: 'type', width: 10 },
+      { header: 'Testmotorer', key: 'runners', width: 14 },
+      { header: 'Elementer', key: 'elements', width: 10 },
+      { header: 'Velger', key: 'selector', width: 40 },
+      { header: 'Visninger', key: 'viewports', width: 20 }
+    ];
+    sheet.getRow(1).font = { bold: true };
+    
+    const rows = pages.flatMap(page => page.issues.map(issue => ({ page, issue })));
+    rows.sort((a, b) => compareIssues(a.issue, b.issue, sortBy));
+    
+    // Numbered labels so Excel's own sort keeps the severity order
+    const impactLabels = Object.fromEntries(
+      Object.entries(IMPACT_LABELS).map(([impact, label], index) => [impact, `${index + 1} ${label}`])
+    );
+    
+    for (const { page, issue } of rows) {
+      sheet.addRow({
+        impact: impactLabels[issue.impact] || '',
+        criteria: (issue.criteria || []).join(', '),
+        url: page.url,
+        message: issue.message,
+        type: issue.type,
+        runners: (issue.runners || [issue.runner]).filter(Boolean).join(' + '),
+        elements: issue.affectedElements || 1,
+        selector: issue.selector || '',
+        viewports: (issue.viewports || []).join(', ')
+      });
+    }
+    
+    sheet.autoFilter = { from: 'A1', to: 'I1' };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    
+    logger.info(`Added issue sheet (${rows.length} issues, sorted by ${sortBy})`);
+  }
+
+  /**
+   * Add sheet with full-page and per-issue screenshots
+   * @private
+   */
+  _addScreenshotSheet(workbook, pages) {
+    const sheet = workbook.addWorksheet('Skjermbilder');
+    sheet.getColumn(1).width = 50;
+    sheet.getColumn(2).width = 90;
+    
+    // Default row height is 20 px; images span as many rows as they need
+    const ROW_PX = 20;
+    let rowNum = 1;
+    
+    const addImage = (screenshot, maxWidth) => {
+      const scale = Math.min(1, maxWidth / screenshot.width);
+      const width = Math.round(screenshot.width * scale);
+      const height = Math.round(screenshot.height * scale);
+      const imageId = workbook.addImage({
+        base64: screenshot.data,
+        extension: screenshot.mimeType === 'image/jpeg' ? 'jpeg' : 'png'
+      });
+      sheet.addImage(imageId, { tl: { col: 1, row: rowNum - 1 }, ext: { width, height } });
+      rowNum += Math.ceil(height / ROW_PX) + 1;
+    };
+    
+    for (const page of pages) {
+      const header = sheet.getRow(rowNum++);
+      header.getCell(1).value = page.url;
+      header.getCell(1).font = { bold: true, size: 12 };
+      
+      for (const screenshot of page.screenshots || []) {
+        sheet.getRow(rowNum).getCell(1).value = `Hele siden${screenshot.viewport ? ` (${screenshot.viewport})` : ''}`;
+        addImage(screenshot, 600);
+      }
+      
+      for (const issue of page.issues.filter(issue => issue.screenshot)) {
+        const cell = sheet.getRow(rowNum).getCell(1);
+        cell.value = [
+          `${IMPACT_LABELS[issue.impact] || issue.type}${issue.criteria?.length ? ` – WCAG ${issue.criteria.join(', ')}` : ''}`,
+          issue.message,
+          `${issue.selector}${issue.screenshot.viewport ? ` [${issue.screenshot.viewport}]` : ''}`
+        ].join('\n');
+        cell.alignment = { wrapText: true, vertical: 'top' };
+        addImage(issue.screenshot, 640);
+      }
+      
+      rowNum++;
+    }
+    
+    logger.info('Added screenshot sheet');
+  }
+
+  /**
+   * Add sheet listing suppressed issues with the rule that suppressed each,
+   * followed by expired rules that no longer apply
+   * @private
+   */
+  _addSuppressedSheet(workbook, pages, expired) {
+    const sheet = workbook.addWorksheet('Undertrykt');
+    
+    sheet.columns = [
+      { header: 'Begrunnelse', key: 'justification', width: 50 },
+      { header: 'Utløper', key: 'expires', width: 12 },
+      { header: 'WCAG', key: 'criteria', width: 12 },
+      { header: 'Side', key: 'url', width: 50 },
+      { header: 'Problem', key: 'message', width: 70 },
+      { header: 'Kode', key: 'code', width: 40 },
+      { header: 'Velger', key: 'selector', width: 40 },
+      { header: 'Regel', key: 'rule', width: 40 }
+    ];
+    sheet.getRow(1).font = { bold: true };
+    
+    const describeRule = (rule) => [
+      rule.code && `kode ${rule.code}`,
+      rule.selector && `velger ${rule.selector}`,
+      rule.url && `URL ${rule.url}`
+    ].filter(Boolean).join(', ');
+    
+    let count = 0;
+    for (const page of pages) {
+      for (const issue of page.suppressed || []) {
+        sheet.addRow({
+          justification: issue.suppression.justification,
+          expires: issue.suppression.expires || '',
+          criteria: (issue.criteria || []).join(', '),
+          url: page.url,
+          message: issue.message,
+          code: issue.code,
+          selector: issue.selector || '',
+          rule: describeRule(issue.suppression)
+        });
+        count++;
+      }
+    }
+    sheet.autoFilter = { from: 'A1', to: 'H1' };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    
+    if (expired.length > 0) {
+      sheet.addRow([]);
+      const header = sheet.addRow(['Utløpte regler (brukes ikke lenger; treff telles som problemer igjen)']);
+      header.font = { bold: true };
+      for (const rule of expired) {
+        sheet.addRow({ justification: rule.justification, expires: rule.expires, rule: describeRule(rule) });
+      }
+    }
+    
+    logger.info(`Added suppressed sheet (${count} issues, ${expired.length} expired rules)`);
+  }
+
+  /**
+   * Add sheet listing findings for success criteria above the tested standard, which are
+   * for information only and not counted as issues
+   * @private
+   */
+  _addInformationalSheet(workbook, pages) {
+    const sheet = workbook.addWorksheet('Over testet nivå');
+    
+    sheet.columns = [
+      { header: 'WCAG', key: 'criteria', width: 12 },
+      { header: 'Side', key: 'url', width: 50 },
+      { header: 'Funn', key: 'message', width: 70 },
+      { header: 'Testmotorer', key: 'runners', width: 14 },
+      { header: 'Elementer', key: 'elements', width: 10 },
+      { header: 'Velgere', key: 'selectors', width: 60 }
+    ];
+    sheet.getRow(1).font = { bold: true };
+    
+    let count = 0;
+    for (const page of pages) {
+      for (const issue of page.informational || []) {
+        sheet.addRow({
+          criteria: (issue.criteria || []).join(', '),
+          url: page.url,
+          message: issue.message,
+          runners: (issue.runners || [issue.runner]).filter(Boolean).join(' + '),
+          elements: issue.affectedElements || 1,
+          selectors: (issue.elements || []).map(element => element.selector).filter(Boolean).join('\n')
+        });
+        count++;
+      }
+    }
+    sheet.autoFilter = { from: 'A1', to: 'F1' };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    
+    logger.info(`Added informational sheet (${count} findings)`);
+  }
+
+  /**
+   * Add sheet listing the sampled pages and the template cluster each represents
+   * @private
+   */
+  _addSampleSheet(workbook, analysis) {
+    const sheet = workbook.addWorksheet('Utvalg');
+    const types = { 'front-page': 'Forside', form: 'Skjema', document: 'Dokument', template: 'Sidemal' };
+    
+    sheet.columns = [
+      { header: 'Side', key: 'url', width: 70 },
+      { header: 'Type', key: 'type', width: 12 },
+      { header: 'Representerer', key: 'label', width: 40 },
+      { header: 'Sider i klyngen', key: 'size', width: 16 },
+      { header: 'Problemer', key: 'issues', width: 12 }
+    ];
+    sheet.getRow(1).font = { bold: true };
+    
+    for (const page of analysis.pageAnalyses) {
+      sheet.addRow({
+        url: page.url,
+        type: page.cluster ? types[page.cluster.type] : '',
+        label: page.cluster?.label || '',
+        size: page.cluster?.size || '',
+        issues: page.issues.length
+      });
+    }
+    
+    logger.info('Added sample sheet');
+  }
+
   /**
    * Add disclaimer sheet to workbook
    * @private
@@ -248,8 +509,71 @@ export class ExcelReporter {
     // Date
     sheet.getRow(rowNum++).getCell(2).value = `Generert: ${new Date(analysis.timestamp).toLocaleString('no-NO')}`;
     sheet.getRow(rowNum++).getCell(2).value = `URL: ${analysis.baseUrl || analysis.url}`;
+    if (analysis.runners) {
+      sheet.getRow(rowNum++).getCell(2).value = `Testmotorer: ${analysis.runners.join(', ')}`;
+    }
+    if (analysis.checks?.length > 0) {
+      sheet.getRow(rowNum++).getCell(2).value = `Nettlesertester: ${analysis.checks.join(', ')}`;
+    }
+    if (analysis.plugins?.length > 0) {
+      sheet.getRow(rowNum++).getCell(2).value = `Egne regler: ${analysis.plugins.join(', ')}`;
+    }
+    if (analysis.viewports) {
+      sheet.getRow(rowNum++).getCell(2).value = `Visninger: ${analysis.viewports.join(', ')}`;
+    }
+    const settled = (analysis.pageAnalyses || [analysis]).filter(page => page.settle);
+    if (settled.length > 0) {
+      const times = settled.map(page => page.settle.time / 1000);
+      const average = times.reduce((sum, time) => sum + time, 0) / times.length;
+      sheet.getRow(rowNum++).getCell(2).value = `Stabiliseringstid: snitt ${average.toFixed(1)} s, maks ${Math.max(...times).toFixed(1)} s`;
+    }
+    const mediaReview = (analysis.pageAnalyses || [analysis]).flatMap(page => page.issues)
+      .filter(issue => issue.runners?.includes('media') && issue.runnerExtras?.needsFurtherReview)
+      .reduce((sum, issue) => sum + issue.elements.length, 0);
+    if (mediaReview > 0) {
+      sheet.getRow(rowNum++).getCell(2).value = `Medier til manuell kontroll: ${mediaReview} (se Problemer, kan ikke avgjøres automatisk)`;
+    }
+    const suppressed = (analysis.pageAnalyses || [analysis]).reduce((sum, page) => sum + (page.suppressed?.length || 0), 0);
+    if (suppressed > 0) {
+      sheet.getRow(rowNum++).getCell(2).value = `Undertrykte problemer: ${suppressed} (ikke med i status, se arket Undertrykt)`;
+    }
     rowNum++;
     
+    // Pages analyzed before they finished rendering
+    const unsettled = settled.filter(page => page.settle.timedOut);
+    if (unsettled.length > 0) {
+      sheet.getRow(rowNum++).getCell(1).value = '⏱️ Ikke stabilisert:';
+      sheet.getRow(rowNum++).getCell(2).value = `${unsettled.length} side(r) nådde øvre grense for ventetid og kan være analysert før innholdet var ferdig lastet:`;
+      for (const page of unsettled) {
+        sheet.getRow(rowNum++).getCell(2).value = `• ${page.url} (ventet på: ${page.settle.pending.join(', ')})`;
+      }
+      rowNum++;
+    }
+    
+    // Embedded content that was not analyzed
+    const untested = (analysis.pageAnalyses || [analysis]).filter(page => page.untestedFrames?.length > 0);
+    if (untested.length > 0) {
+      sheet.getRow(rowNum++).getCell(1).value = '🖼️ Ikke testede rammer:';
+      sheet.getRow(rowNum++).getCell(2).value = 'Innebygde rammer fra et annet opphav (eller som feilet) er ikke analysert; test dem separat:';
+      for (const page of untested) {
+        for (const frame of page.untestedFrames) {
+          const reason = frame.reason === 'cross-origin' ? 'annet opphav' : frame.reason;
+          sheet.getRow(rowNum++).getCell(2).value = `• ${page.url}: ${frame.selector} → ${frame.url || 'about:blank'} (${reason})`;
+        }
+      }
+      rowNum++;
+    }
+    
+    // Pages excluded from the crawl
+    if (analysis.skippedPages?.length > 0) {
+      sheet.getRow(rowNum++).getCell(1).value = '⏭️ Hoppet over:';
+      sheet.getRow(rowNum++).getCell(2).value = `${analysis.skippedPages.length} side(r) ble ikke analysert:`;
+      for (const skipped of analysis.skippedPages) {
+        sheet.getRow(rowNum++).getCell(2).value = `• ${skipped.url} (${skipped.reason})`;
+      }
+      rowNum++;
+    }
+    
     // Warning section
     const warningRow = sheet.getRow(rowNum++);
     warningRow.getCell(1).value = '⚠️ ADVARSEL';
@@ -272,7 +596,8 @@ export class ExcelReporter {
     
     // What requires manual testing
     sheet.getRow(rowNum++).getCell(1).value = '❌ Krever manuell testing:';
-    sheet.getRow(rowNum++).getCell(2).value = '• Tastaturnavigasjon og fokushåndtering';
+    sheet.getRow(rowNum++).getCell(2).value = '• Tastaturnavigasjon og fokushåndtering (delvis dekket av keyboard_audit)';
+    sheet.getRow(rowNum++).getCell(2).value = '• Feilhåndtering i skjema (delvis dekket av form_audit)';
     sheet.getRow(rowNum++).getCell(2).value = '• Skjermleserkvalitet og opplesning';
     sheet.getRow(rowNum++).getCell(2).value = '• Komplekse widgets og interaksjoner';
     sheet.getRow(rowNum++).getCell(2).value = '• Kontekstuelle problemer';
@@ -314,6 +639,7 @@ export class ExcelReporter {
     sheet.getRow(rowNum++).getCell(2).value = '   • Bruk kun Tab, Shift+Tab, Enter, Space, piltaster';
     sheet.getRow(rowNum++).getCell(2).value = '   • Sjekk at fokus er synlig hele tiden';
     sheet.getRow(rowNum++).getCell(2).value = '   • Verifiser at alle funksjoner er tilgjengelige';
+    sheet.getRow(rowNum++).getCell(2).value = '   • keyboard_audit finner fokusrekkefølge, tastaturfeller og usynlig fokus automatisk';
     rowNum++;
     
     sheet.getRow(rowNum++).getCell(2).value = '4. BRUKERTESTING';
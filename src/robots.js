@@ -0,0 +1,172 @@
+/**
+ * robots.txt fetching and parsing
+ */
+import axios from 'axios';
+import { URL } from 'node:url';
+import config from './config.js';
+import logger from './logger.js';
+
+export class RobotsTxt {
+  /**
+   * @param {string} content - Raw robots.txt content
+   * @param {string} userAgent - User agent whose rules should apply
+   */
+  constructor(content = '', userAgent = config.userAgent) {
+    this.sitemaps = [];
+    this.groups = [];
+    // Product token, e.g. "wcag-analyzer" from "WCAG-Analyzer/1.0 (pa11y)"
+    this.agentToken = userAgent.split(/[/\s]/)[0].toLowerCase();
+    this._parse(content);
+
+    const group = this._selectGroup();
+    this.rules = group ? group.rules : [];
+    this.crawlDelay = group?.crawlDelay ?? null;
+  }
+
+  /**
+   * Fetch and parse robots.txt for the origin of a URL
+   * @param {string} url - Any URL on the site
+   * @returns {Promise<RobotsTxt>} Parsed robots.txt (empty if unavailable)
+   */
+  static async fetch(url) {
+    const robotsUrl = new URL('/robots.txt', url).toString();
+
+    try {
+      const response = await axios.get(robotsUrl, {
+        timeout: config.timeout,
+        headers: {
+          'User-Agent': config.userAgent
+        },
+        responseType: 'text',
+        validateStatus: (status) => status === 200
+      });
+
+      logger.info(`Loaded ${robotsUrl}`);
+      return new RobotsTxt(String(response.data));
+    } catch (error) {
+      logger.debug(`No robots.txt at ${robotsUrl}: ${error.message}`);
+      return new RobotsTxt();
+    }
+  }
+
+  /**
+   * Check whether our user agent may fetch a URL.
+   * The longest matching rule wins; Allow wins over Disallow on ties.
+   * @param {string} url - URL to check
+   * @returns {boolean} True if crawling is allowed
+   */
+  isAllowed(url) {
+    let path;
+    try {
+      const urlObj = new URL(url);
+      path = urlObj.pathname + urlObj.search;
+    } catch {
+      return true;
+    }
+
+    let match = null;
+    for (const rule of this.rules) {
+      if (!rule.pattern.test(path)) {
+        continue;
+      }
+      if (!match ||
+          rule.length > match.length ||
+          (rule.length === match.length && rule.allow && !match.allow)) {
+        match = rule;
+      }
+    }
+
+    return match ? match.allow : true;
+  }
+
+  /**
+   * Crawl delay requested for our user agent
+   * @returns {number|null} Delay in milliseconds, or null if not specified
+   */
+  getCrawlDelayMs() {
+    return this.crawlDelay === null ? null : Math.round(this.crawlDelay * 1000);
+  }
+
+  /**
+   * Parse robots.txt directives
+   * @private
+   */
+  _parse(content) {
+    let current = null;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        continue;
+      }
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'sitemap') {
+        if (value) {
+          this.sitemaps.push(value);
+        }
+      } else if (field === 'user-agent') {
+        // Consecutive User-agent lines share one group
+        if (!current || current.rules.length > 0 || current.crawlDelay !== null) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          this.groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+      } else if (current && (field === 'allow' || field === 'disallow')) {
+        // An empty Disallow allows everything
+        if (value) {
+          current.rules.push({
+            allow: field === 'allow',
+            pattern: this._toRegExp(value),
+            length: value.length
+          });
+        }
+      } else if (current && field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay) && delay >= 0) {
+          current.crawlDelay = delay;
+        }
+      }
+    }
+  }
+
+  /**
+   * Pick the group for our user agent, falling back to "*"
+   * @private
+   */
+  _selectGroup() {
+    const best = this.groups.find(group => group.agents.includes(this.agentToken));
+    if (best) {
+      return best;
+    }
+
+    const wildcardGroups = this.groups.filter(group => group.agents.includes('*'));
+    if (wildcardGroups.length === 0) {
+      return null;
+    }
+
+    // Merge repeated "*" groups
+    return {
+      rules: wildcardGroups.flatMap(group => group.rules),
+      crawlDelay: wildcardGroups.find(group => group.crawlDelay !== null)?.crawlDelay ?? null
+    };
+  }
+
+  /**
+   * Convert a robots.txt path pattern (with * and $) to a RegExp
+   * @private
+   */
+  _toRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+}
+
+export default RobotsTxt;
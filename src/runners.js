@@ -0,0 +1,86 @@
+/**
+ * pa11y runner selection and merging of findings from several runners
+ */
+import axe from 'axe-core';
+
+// Supported pa11y runners, in the order they run and take precedence when merging
+export const RUNNERS = ['htmlcs', 'axe'];
+
+// axe rule id -> WCAG success criteria, read from the rule tags (e.g. "wcag1410" -> "1.4.10")
+const AXE_CRITERIA = new Map(axe.getRules().map(rule => [
+  rule.ruleId,
+  rule.tags
+    .map(tag => tag.match(/^wcag(\d)(\d)(\d+)$/))
+    .filter(Boolean)
+    .map(([, principle, guideline, criterion]) => `${principle}.${guideline}.${criterion}`)
+]));
+
+/**
+ * Validate a runner list and put it in run order
+ * @param {string[]} runners - Requested runners
+ * @returns {string[]} Runners in run order
+ */
+export function normalizeRunners(runners) {
+  const requested = runners?.length ? runners : ['htmlcs'];
+  for (const runner of requested) {
+    if (!RUNNERS.includes(runner)) {
+      throw new Error(`Unknown runner "${runner}" (use ${RUNNERS.join(', ')})`);
+    }
+  }
+  return RUNNERS.filter(runner => requested.includes(runner));
+}
+
+/**
+ * Get the WCAG success criteria an issue belongs to
+ * @param {Object} issue - pa11y issue
+ * @returns {string[]} Success criteria such as "1.4.3"
+ */
+export function getCriteria(issue) {
+  if (issue.runner === 'axe') {
+    return AXE_CRITERIA.get(issue.code) || [];
+  }
+
+  // Example: "WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail" -> "1.4.3"
+  const match = issue.code?.match(/Guideline(\d+)_(\d+)\.(\d+)_(\d+)_(\d+)/);
+  return match ? [`${match[1]}.${match[2]}.${match[5]}`] : [];
+}
+
+/**
+ * Merge findings that several runners report for the same element and success criterion.
+ * The first runner's issue is kept and lists every runner that reported it.
+ * @param {Object[]} issues - pa11y issues from all runners
+ * @returns {Object[]} Issues with `criteria` and `runners`
+ */
+export function mergeRunnerIssues(issues) {
+  const merged = [];
+  const byElement = new Map();
+  const severity = { error: 3, warning: 2, notice: 1 };
+
+  for (const issue of issues) {
+    const criteria = getCriteria(issue);
+    const keys = issue.selector ? criteria.map(criterion => `${issue.selector}|${criterion}`) : [];
+    const existing = keys.map(key => byElement.get(key))
+      .find(candidate => candidate && !candidate.runners.includes(issue.runner));
+
+    if (existing) {
+      existing.runners.push(issue.runner);
+      existing.codes.push(issue.code);
+      existing.runnerExtras = { ...issue.runnerExtras, ...existing.runnerExtras };
+      if ((severity[issue.type] || 0) > (severity[existing.type] || 0)) {
+        existing.type = issue.type;
+        existing.typeCode = issue.typeCode;
+      }
+      continue;
+    }
+
+    const entry = { ...issue, criteria, runners: [issue.runner], codes: [issue.code] };
+    merged.push(entry);
+    for (const key of keys) {
+      if (!byElement.has(key)) {
+        byElement.set(key, entry);
+      }
+    }
+  }
+
+  return merged;
+}
@@ -0,0 +1,196 @@
+/**
+ * Representative page sampling by template clustering
+ * Follows the UU-tilsynet approach: front page, one page per template type and forms.
+ * Documents are set aside for manual review and never take a place in the sample.
+ */
+import * as cheerio from 'cheerio';
+import { createHash } from 'node:crypto';
+import { URL } from 'node:url';
+import logger from './logger.js';
+
+const DOCUMENT_EXTENSIONS = /\.(pdf|docx?|xlsx?|pptx?|odt|ods|odp|rtf|epub)$/i;
+
+// Structural elements that define a page template
+const STRUCTURAL_TAGS = new Set([
+  'header', 'nav', 'main', 'aside', 'footer', 'section', 'article',
+  'form', 'table', 'ul', 'ol', 'dl', 'h1', 'h2', 'figure', 'video', 'iframe'
+]);
+
+// Maximum depth below <body> included in the DOM fingerprint
+const FINGERPRINT_DEPTH = 4;
+
+export class PageSampler {
+  /**
+   * Compute a DOM-structure fingerprint for a page.
+   * Text, attributes and repeated siblings are ignored so pages built from
+   * the same template get the same fingerprint.
+   * @param {string} html - Page HTML
+   * @returns {{fingerprint: string, hasForm: boolean}} Fingerprint and page features
+   */
+  static fingerprintHtml(html) {
+    const $ = cheerio.load(html);
+
+    const walk = (element, depth) => {
+      if (depth > FINGERPRINT_DEPTH) {
+        return '';
+      }
+
+      const parts = [];
+      for (const child of $(element).children().toArray()) {
+        const tag = child.tagName?.toLowerCase();
+        const role = $(child).attr('role');
+        const inner = walk(child, depth + 1);
+        const token = STRUCTURAL_TAGS.has(tag) || role
+          ? `${role ? `[${role}]` : tag}${inner ? `(${inner})` : ''}`
+          : inner;
+
+        // Collapse repeated siblings (lists of cards, rows, etc.)
+        if (token && parts[parts.length - 1] !== token) {
+          parts.push(token);
+        }
+      }
+      return parts.join(',');
+    };
+
+    const skeleton = walk($('body').get(0) || $.root().get(0), 0);
+    const hasForm = $('form').toArray().some(form =>
+      $(form).attr('role') !== 'search' &&
+      $(form).find('input:not([type="hidden"]):not([type="search"]), select, textarea').length > 1
+    );
+
+    return {
+      fingerprint: createHash('sha1').update(skeleton).digest('hex').slice(0, 10),
+      hasForm
+    };
+  }
+
+  /**
+   * Generalize a URL path so pages of the same kind share a pattern,
+   * e.g. /news/2024/my-article -> /news/{n}/{slug}
+   * @param {string} url - Page URL
+   * @returns {string} Path pattern
+   */
+  static pathPattern(url) {
+    const { pathname } = new URL(url);
+    const segments = pathname.split('/').filter(Boolean);
+
+    if (segments.length === 0) {
+      return '/';
+    }
+
+    return '/' + segments.map((segment, index) => {
+      if (/^\d+$/.test(segment)) {
+        return '{n}';
+      }
+      if (/^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i.test(segment)) {
+        return '{id}';
+      }
+      // Keep the first segment (section), generalize slugs below it
+      if (index > 0 && (segment.includes('-') || segment.length > 20 || /\d/.test(segment))) {
+        return '{slug}';
+      }
+      return segment;
+    }).join('/');
+  }
+
+  /**
+   * Check whether a URL points to a document rather than a web page
+   * @param {string} url - Page URL
+   * @returns {boolean} True for PDF, Office and similar documents
+   */
+  static isDocument(url) {
+    try {
+      return DOCUMENT_EXTENSIONS.test(new URL(url).pathname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Group pages into clusters and pick a representative sample
+   * @param {string} startUrl - Front page URL (always included)
+   * @param {string[]} pages - Candidate pages in discovery order
+   * @param {Map<string, Object>} features - Fingerprint results per URL (from fingerprintHtml)
+   * @param {number} maxPages - Sample size
+   * @returns {{pages: string[], clusters: Map<string, Object>, documents: string[]}} Sampled pages,
+   *   the cluster each represents, and the documents left out of the sample
+   */
+  sample(startUrl, pages, features, maxPages) {
+    const clusters = new Map();
+    const documents = pages.filter(url => PageSampler.isDocument(url));
+    const candidates = pages.filter(url => !PageSampler.isDocument(url));
+
+    const addToCluster = (key, type, url) => {
+      if (!clusters.has(key)) {
+        clusters.set(key, { id: key, type, pathPatterns: new Map(), pages: [] });
+      }
+      const cluster = clusters.get(key);
+      const pattern = PageSampler.pathPattern(url);
+      cluster.pathPatterns.set(pattern, (cluster.pathPatterns.get(pattern) || 0) + 1);
+      cluster.pages.push(url);
+    };
+
+    for (const url of candidates) {
+      const feature = features.get(url);
+
+      if (url === startUrl) {
+        addToCluster('front-page', 'front-page', url);
+      } else if (feature) {
+        addToCluster(`${feature.hasForm ? 'form' : 'template'}-${feature.fingerprint}`,
+          feature.hasForm ? 'form' : 'template', url);
+      } else {
+        // Not fetched: fall back to the path pattern alone
+        addToCluster(`path-${PageSampler.pathPattern(url)}`, 'template', url);
+      }
+    }
+
+    // Label clusters with their most common path pattern
+    for (const cluster of clusters.values()) {
+      cluster.label = [...cluster.pathPatterns.entries()].sort((a, b) => b[1] - a[1])[0][0];
+      cluster.size = cluster.pages.length;
+    }
+
+    // Front page first, then forms, then templates by size
+    const priority = { 'front-page': 0, form: 1, template: 2 };
+    const ordered = [...clusters.values()].sort((a, b) =>
+      priority[a.type] - priority[b.type] || b.size - a.size
+    );
+
+    const selected = [];
+    const assignment = new Map();
+
+    // One representative per cluster, then fill the remaining budget round-robin
+    for (let round = 0; selected.length < maxPages; round++) {
+      let added = false;
+      for (const cluster of ordered) {
+        if (selected.length >= maxPages) {
+          break;
+        }
+        if (round < cluster.pages.length) {
+          const url = cluster.pages[round];
+          selected.push(url);
+          assignment.set(url, {
+            id: cluster.id,
+            type: cluster.type,
+            label: cluster.label,
+            size: cluster.size
+          });
+          added = true;
+        }
+      }
+      if (!added) {
+        break;
+      }
+    }
+
+    const uncovered = ordered.filter(cluster => !selected.includes(cluster.pages[0])).length;
+    logger.info(`Sampled ${selected.length} pages from ${candidates.length} candidates in ${clusters.size} clusters`);
+    if (uncovered > 0) {
+      logger.warn(`${uncovered} clusters not covered - increase max_pages for full template coverage`);
+    }
+
+    return { pages: selected, clusters: assignment, documents };
+  }
+}
+
+export default PageSampler;
@@ -4,12 +4,29 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { URL } from 'node:url';
+import { browserPool } from './browser-pool.js';
 import config from './config.js';
 import logger from './logger.js';
+import RobotsTxt from './robots.js';
+import PageSampler from './sampler.js';
+import SitemapReader from './sitemap.js';
+import { settlePage } from './stabilizer.js';
+import UrlFilter from './url-filter.js';
 
 export class WebScraper {
   constructor() {
     this.visited = new Set();
+    this.robots = new RobotsTxt();
+    this.respectRobots = true;
+    this.skipped = [];
+    this.lease = null;
+    this.renderLinks = false;
+    this.urlFilter = new UrlFilter();
+    this.sampling = 'first';
+    this.features = new Map();
+    this.clusters = new Map();
+    this.session = null;
+    this.crawlDelay = config.crawlDelay;
   }
 
   /**
@@ -17,67 +34,267 @@ export class WebScraper {
    * @param {string} startUrl - Starting URL
    * @param {number} maxDepth - Maximum crawl depth
    * @param {number} maxPages - Maximum pages to discover
-   * @returns {Promise<string[]>} List of discovered URLs
+   * @param {Object} [options] - Discovery options
+   * @param {string} [options.discovery='links'] - Discovery mode: 'links', 'sitemap' or 'both'
+   * @param {boolean} [options.ignoreRobots=false] - Ignore robots.txt rules and Crawl-delay (only for sites you own)
+   * @param {boolean} [options.renderLinks=false] - Render pages in headless Chrome to find client-side links (SPAs)
+   * @param {Object} [options.urlFilter] - Include/exclude patterns and URL normalization (see UrlFilter)
+   * @param {string} [options.sampling='first'] - 'first' (first N pages found) or 'representative' (one per template cluster)
+   * @param {AuthSession} [options.session] - Authenticated session used for page requests
+   * @param {number} [options.crawlDelay] - Delay between requests in ms (default: CRAWL_DELAY)
+   * @returns {Promise<string[]>} List of discovered URLs. URLs blocked by robots.txt are listed in `this.skipped`,
+   *   and with representative sampling the cluster of each page is in `this.clusters`.
    */
-  async discoverPages(startUrl, maxDepth = 2, maxPages = 10) {
+  async discoverPages(startUrl, maxDepth = 2, maxPages = 10, options = {}) {
+    const { discovery = 'links', ignoreRobots = false, renderLinks = false, urlFilter = {}, sampling = 'first', session = null, crawlDelay = config.crawlDelay } = options;
+
     try {
-      logger.info(`Discovering pages from ${startUrl} (max_depth=${maxDepth}, max_pages=${maxPages})`);
-      
-      const baseDomain = new URL(startUrl).hostname;
-      logger.info(`Base domain: ${baseDomain}`);
-      
-      const pages = [startUrl];
-      let toCrawl = [startUrl];
-      this.visited = new Set();
-
-      for (let depth = 0; depth < maxDepth; depth++) {
-        if (pages.length >= maxPages || toCrawl.length === 0) {
-          break;
-        }
+      this.urlFilter = new UrlFilter(urlFilter);
+      startUrl = this.urlFilter.normalize(startUrl);
 
-        logger.info(`Crawl depth ${depth + 1}/${maxDepth}: Checking ${toCrawl.length} pages for links`);
-        const nextToCrawl = [];
+      logger.info(`Discovering pages from ${startUrl} (mode=${discovery}, max_depth=${maxDepth}, max_pages=${maxPages})`);
 
-        for (const page of toCrawl) {
-          if (this.visited.has(page) || pages.length >= maxPages) {
-            continue;
-          }
+      this.skipped = [];
+      this.features = new Map();
+      this.clusters = new Map();
+      this.sampling = sampling;
+      this.session = session;
+      this.crawlDelay = crawlDelay;
+      this.renderLinks = renderLinks;
+      this.respectRobots = !ignoreRobots;
+      this.robots = await RobotsTxt.fetch(startUrl);
 
-          try {
-            this.visited.add(page);
-            const links = await this._extractLinks(page, baseDomain);
-            logger.info(`  Found ${links.length} links on ${page}`);
-
-            for (const link of links) {
-              if (!pages.includes(link) && pages.length < maxPages) {
-                pages.push(link);
-                nextToCrawl.push(link);
-                logger.info(`    + Added: ${link}`);
-              }
-            }
+      if (ignoreRobots) {
+        logger.warn('Ignoring robots.txt rules and Crawl-delay (override enabled)');
+      } else if (!this._isAllowed(startUrl)) {
+        throw new Error(`${startUrl} is disallowed by robots.txt (use ignore_robots for sites you own)`);
+      } else if (this.robots.getCrawlDelayMs() > config.maxCrawlDelay) {
+        logger.warn(`robots.txt Crawl-delay of ${this.robots.getCrawlDelayMs() / 1000} s capped at ${config.maxCrawlDelay / 1000} s (MAX_CRAWL_DELAY)`);
+      }
 
-            // Delay between requests
-            await this._delay(config.crawlDelay);
-          } catch (error) {
-            logger.warn(`  Failed to extract links from ${page}: ${error.message}`);
-          }
-        }
+      // Representative sampling picks from a larger pool of candidates
+      const poolSize = sampling === 'representative' ? Math.max(maxPages, config.samplePoolSize) : maxPages;
+      const sources = [];
 
-        toCrawl = nextToCrawl;
+      if (discovery === 'links' || discovery === 'both') {
+        sources.push(await this._crawlLinks(startUrl, maxDepth, poolSize));
       }
 
-      // Deduplicate
-      const uniquePages = [...new Set(pages)];
-      if (uniquePages.length < pages.length) {
-        logger.info(`Removed ${pages.length - uniquePages.length} duplicate URLs`);
+      if (discovery === 'sitemap' || discovery === 'both') {
+        sources.push(await this._readSitemaps(startUrl, poolSize));
+      }
+
+      let pages = this._mergePages(startUrl, sources, poolSize);
+      logger.info(`Discovered ${pages.length} pages`);
+
+      if (sampling === 'representative') {
+        pages = await this._samplePages(startUrl, pages, maxPages);
       }
 
-      logger.info(`Discovered ${uniquePages.length} pages`);
-      return uniquePages.slice(0, maxPages);
+      return pages;
     } catch (error) {
       logger.error(`Page discovery failed: ${error.message}`);
       throw new Error(`Failed to discover pages: ${error.message}`);
+    } finally {
+      await this._closeBrowser();
+    }
+  }
+
+  /**
+   * Discover pages by following links breadth-first
+   * @private
+   */
+  async _crawlLinks(startUrl, maxDepth, maxPages) {
+    const baseDomain = new URL(startUrl).hostname;
+    logger.info(`Base domain: ${baseDomain}`);
+
+    const pages = [startUrl];
+    let toCrawl = [startUrl];
+    this.visited = new Set();
+
+    for (let depth = 0; depth < maxDepth; depth++) {
+      if (pages.length >= maxPages || toCrawl.length === 0) {
+        break;
+      }
+
+      logger.info(`Crawl depth ${depth + 1}/${maxDepth}: Checking ${toCrawl.length} pages for links`);
+      const nextToCrawl = [];
+
+      for (const page of toCrawl) {
+        if (this.visited.has(page) || pages.length >= maxPages) {
+          continue;
+        }
+
+        try {
+          this.visited.add(page);
+          const links = this.renderLinks
+            ? await this._extractRenderedLinks(page, baseDomain)
+            : await this._extractLinks(page, baseDomain);
+          logger.info(`  Found ${links.length} links on ${page}`);
+
+          for (const link of links) {
+            if (!pages.includes(link) && pages.length < maxPages && this._isCrawlable(link)) {
+              pages.push(link);
+              nextToCrawl.push(link);
+              logger.info(`    + Added: ${link}`);
+            }
+          }
+
+          // Delay between requests
+          await this._delay(this._getCrawlDelay());
+        } catch (error) {
+          logger.warn(`  Failed to extract links from ${page}: ${error.message}`);
+        }
+      }
+
+      toCrawl = nextToCrawl;
     }
+
+    return pages;
+  }
+
+  /**
+   * Discover pages from robots.txt Sitemap directives and sitemap.xml
+   * @private
+   */
+  async _readSitemaps(startUrl, maxPages) {
+    const reader = new SitemapReader();
+    return reader.discover(startUrl, this.robots.sitemaps, maxPages, (url) => {
+      const normalized = this.urlFilter.normalize(url);
+      return this._isCrawlable(normalized) ? normalized : null;
+    });
+  }
+
+  /**
+   * Pick a representative sample of pages by template cluster.
+   * Documents are reported as skipped since they need manual review, and do not count
+   * toward maxPages.
+   * @private
+   */
+  async _samplePages(startUrl, pages, maxPages) {
+    // Fingerprint candidates that were not fetched during the crawl
+    const missing = pages.filter(url => !this.features.has(url) && !PageSampler.isDocument(url));
+    if (missing.length > 0) {
+      logger.info(`Fingerprinting ${missing.length} pages for template clustering`);
+    }
+    for (const url of missing) {
+      await this._fingerprintPage(url);
+      await this._delay(this._getCrawlDelay());
+    }
+
+    const sampler = new PageSampler();
+    const sample = sampler.sample(startUrl, pages, this.features, maxPages);
+    this.clusters = sample.clusters;
+
+    for (const url of sample.documents) {
+      this.skipped.push({ url, reason: 'document - manual review' });
+    }
+
+    return sample.pages;
+  }
+
+  /**
+   * Fetch a page and record its DOM fingerprint
+   * @private
+   */
+  async _fingerprintPage(url) {
+    try {
+      const response = await axios.get(url, {
+        timeout: config.timeout,
+        headers: this._requestHeaders(url),
+        beforeRedirect: (options) => this.session?.scopeRedirect(options),
+        validateStatus: (status) => status === 200
+      });
+
+      if (typeof response.data === 'string') {
+        this.features.set(url, PageSampler.fingerprintHtml(response.data));
+      }
+    } catch (error) {
+      logger.debug(`Failed to fingerprint ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a normalized URL against include/exclude patterns, logout links and robots.txt
+   * @private
+   */
+  _isCrawlable(url) {
+    if (!this.urlFilter.matches(url)) {
+      return false;
+    }
+
+    // Following a logout link would end the authenticated session
+    if (this.session?.isLogoutUrl(url)) {
+      if (!this.skipped.some(entry => entry.url === url)) {
+        this.skipped.push({ url, reason: 'logout' });
+        logger.info(`    - Skipped (logout): ${url}`);
+      }
+      return false;
+    }
+
+    return this._isAllowed(url);
+  }
+
+  /**
+   * Headers for page requests, including session headers and cookies
+   * @private
+   */
+  _requestHeaders(url) {
+    return {
+      'User-Agent': config.userAgent,
+      ...(this.session ? this.session.getRequestHeaders(url) : {})
+    };
+  }
+
+  /**
+   * Check a URL against robots.txt, recording it as skipped if disallowed
+   * @private
+   */
+  _isAllowed(url) {
+    if (!this.respectRobots || this.robots.isAllowed(url)) {
+      return true;
+    }
+
+    if (!this.skipped.some(entry => entry.url === url)) {
+      this.skipped.push({ url, reason: 'robots.txt' });
+      logger.info(`    - Skipped (robots.txt): ${url}`);
+    }
+    return false;
+  }
+
+  /**
+   * Delay between requests, honoring robots.txt Crawl-delay up to MAX_CRAWL_DELAY
+   * @private
+   */
+  _getCrawlDelay() {
+    const robotsDelay = this.respectRobots ? this.robots.getCrawlDelayMs() : null;
+    return Math.max(this.crawlDelay, Math.min(robotsDelay ?? 0, config.maxCrawlDelay));
+  }
+
+  /**
+   * Merge page lists from several discovery sources.
+   * Lists are interleaved so each source gets a share of the page budget.
+   * @private
+   */
+  _mergePages(startUrl, sources, maxPages) {
+    const pages = [startUrl];
+    const longest = Math.max(0, ...sources.map(source => source.length));
+
+    for (let i = 0; i < longest; i++) {
+      for (const source of sources) {
+        if (i < source.length) {
+          pages.push(source[i]);
+        }
+      }
+    }
+
+    // Deduplicate
+    const uniquePages = [...new Set(pages)];
+    if (uniquePages.length < pages.length) {
+      logger.debug(`Removed ${pages.length - uniquePages.length} duplicate URLs`);
+    }
+
+    return uniquePages.slice(0, maxPages);
   }
 
   /**
@@ -88,30 +305,22 @@ export class WebScraper {
     try {
       const response = await axios.get(url, {
         timeout: config.timeout,
-        headers: {
-          'User-Agent': config.userAgent
-        },
+        headers: this._requestHeaders(url),
+        beforeRedirect: (options) => this.session?.scopeRedirect(options),
         validateStatus: (status) => status === 200
       });
 
+      if (this.sampling === 'representative' && typeof response.data === 'string') {
+        this.features.set(url, PageSampler.fingerprintHtml(response.data));
+      }
+
       const $ = cheerio.load(response.data);
       const links = [];
 
       $('a[href]').each((_, element) => {
-        try {
-          const href = $(element).attr('href');
-          const absoluteUrl = new URL(href, url);
-
-          // Filter same-domain links
-          if (absoluteUrl.hostname === baseDomain && 
-              (absoluteUrl.protocol === 'http:' || absoluteUrl.protocol === 'https:')) {
-            // Remove fragments
-            absoluteUrl.hash = '';
-            const cleanUrl = absoluteUrl.toString();
-            links.push(cleanUrl);
-          }
-        } catch {
-          // Skip invalid URLs
+        const link = this._normalizeLink($(element).attr('href'), url, baseDomain);
+        if (link) {
+          links.push(link);
         }
       });
 
@@ -122,6 +331,122 @@ export class WebScraper {
     }
   }
 
+  /**
+   * Extract links from the rendered DOM of a page, including
+   * client-side route changes made with history.pushState/replaceState
+   * @private
+   */
+  async _extractRenderedLinks(url, baseDomain) {
+    const browser = await this._getBrowser();
+    let page = null;
+    try {
+      page = await browser.newPage();
+      await page.setUserAgent(config.userAgent);
+      if (this.session) {
+        await this.session.applyToPage(page);
+      }
+
+      // Record SPA route changes before any page script runs
+      await page.evaluateOnNewDocument(() => {
+        window.__wcagRoutes = [];
+        for (const method of ['pushState', 'replaceState']) {
+          const original = history[method];
+          history[method] = function (state, title, routeUrl) {
+            if (routeUrl) {
+              window.__wcagRoutes.push(new URL(routeUrl, location.href).href);
+            }
+            return original.apply(this, arguments);
+          };
+        }
+        window.addEventListener('hashchange', () => window.__wcagRoutes.push(location.href));
+      });
+
+      await page.goto(url, {
+        waitUntil: config.pa11yConfig.waitUntil,
+        timeout: config.timeout
+      });
+      await settlePage(page);
+
+      if (this.sampling === 'representative') {
+        this.features.set(url, PageSampler.fingerprintHtml(await page.content()));
+      }
+
+      const { hrefs, routes, finalUrl } = await page.evaluate(() => ({
+        hrefs: [...document.querySelectorAll('a[href], area[href]')].map(el => el.href),
+        routes: window.__wcagRoutes || [],
+        finalUrl: location.href
+      }));
+
+      logger.debug(`  Rendered ${url}: ${hrefs.length} links, ${routes.length} route changes`);
+
+      const links = [];
+      for (const href of [finalUrl, ...routes, ...hrefs]) {
+        const link = this._normalizeLink(href, url, baseDomain, { keepHashRoutes: true });
+        if (link && link !== url) {
+          links.push(link);
+        }
+      }
+
+      return [...new Set(links)];
+    } catch (error) {
+      logger.debug(`Failed to extract rendered links from ${url}: ${error.message}`);
+      return [];
+    } finally {
+      if (page) {
+        await page.close().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Resolve a link against its page and keep it only if it is a same-host http(s) URL.
+   * The result is normalized with the active UrlFilter.
+   * @private
+   */
+  _normalizeLink(href, pageUrl, baseDomain, { keepHashRoutes = false } = {}) {
+    try {
+      const absoluteUrl = new URL(href, pageUrl);
+
+      // Filter same-domain links
+      if (absoluteUrl.hostname !== baseDomain ||
+          (absoluteUrl.protocol !== 'http:' && absoluteUrl.protocol !== 'https:')) {
+        return null;
+      }
+
+      // Remove fragments, except hash-based SPA routes (#/path, #!/path)
+      if (!(keepHashRoutes && /^#!?\//.test(absoluteUrl.hash))) {
+        absoluteUrl.hash = '';
+      }
+      return this.urlFilter.normalize(absoluteUrl.toString());
+    } catch {
+      // Skip invalid URLs
+      return null;
+    }
+  }
+
+  /**
+   * Lease a browser context for link discovery on first use
+   * @private
+   */
+  async _getBrowser() {
+    if (!this.lease) {
+      logger.info('Leasing a browser for link discovery...');
+      this.lease = await browserPool.acquire();
+    }
+    return this.lease.context;
+  }
+
+  /**
+   * Return the discovery browser to the pool if it was leased
+   * @private
+   */
+  async _closeBrowser() {
+    if (this.lease) {
+      await this.lease.release();
+      this.lease = null;
+    }
+  }
+
   /**
    * Delay helper
    * @private
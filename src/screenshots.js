@@ -0,0 +1,220 @@
+/**
+ * Screenshot evidence: full page and cropped issue regions outlined in red
+ */
+import config from './config.js';
+import { PATH_SEPARATOR } from './embedded.js';
+import { compareImpact } from './impact.js';
+import logger from './logger.js';
+
+// Outlined elements keep their original style attribute here so it can be restored
+const HIGHLIGHT_ATTR = 'data-wcag-highlight';
+
+// Space around cropped elements and the largest crop, in CSS pixels
+const CROP_PADDING = 24;
+const MAX_CROP = { width: 1200, height: 800 };
+
+// Elements per grouped issue that are outlined and fitted into one crop
+const MAX_ELEMENTS_PER_CROP = 5;
+
+export class ScreenshotCapture {
+  /**
+   * @param {Object} [options] - Capture options
+   * @param {number} [options.maxIssues] - Grouped issues per page that get a cropped screenshot
+   * @param {number} [options.maxHeight] - Maximum full-page screenshot height in pixels
+   */
+  constructor(options = {}) {
+    this.maxIssues = options.maxIssues ?? config.screenshotMaxIssues;
+    this.maxHeight = options.maxHeight ?? config.screenshotMaxHeight;
+  }
+
+  /**
+   * Capture a full-page screenshot and one cropped screenshot per grouped issue.
+   * Cropped screenshots are stored on the issues as `screenshot`.
+   * @param {import('puppeteer').Page} page - Page that was analyzed (still open)
+   * @param {Object[]} issues - Grouped issues with `elements[].selector`
+   * @returns {Promise<Object|null>} Full-page screenshot {data, mimeType, width, height}
+   */
+  async capture(page, issues) {
+    let fullPage = null;
+    try {
+      // Full page with every reported element outlined
+      const allSelectors = issues.flatMap(issue => issue.elements.map(element => element.selector));
+      await this._highlight(page, allSelectors);
+      fullPage = await this._captureFullPage(page);
+    } catch (error) {
+      logger.warn(`Full-page screenshot failed: ${error.message}`);
+    }
+
+    // Most severe issues first when only some can be captured
+    let captured = 0;
+    for (const issue of [...issues].sort((a, b) => compareImpact(a.impact, b.impact))) {
+      if (captured >= this.maxIssues) {
+        break;
+      }
+
+      const selectors = issue.elements.map(element => element.selector).filter(Boolean);
+      if (selectors.length === 0) {
+        continue;
+      }
+
+      try {
+        const fitted = await this._highlight(page, selectors.slice(0, MAX_ELEMENTS_PER_CROP));
+        if (!fitted) {
+          continue;
+        }
+        issue.screenshot = await this._screenshot(page, fitted, 'png');
+        captured++;
+      } catch (error) {
+        logger.debug(`Screenshot failed for ${issue.code}: ${error.message}`);
+      }
+    }
+
+    try {
+      await this._highlight(page, []);
+    } catch (error) {
+      logger.debug(`Removing screenshot highlights failed: ${error.message}`);
+    }
+    logger.info(`Captured ${captured} issue screenshots${fullPage ? ' and a full-page screenshot' : ''}`);
+    return fullPage;
+  }
+
+  /**
+   * Outline the given elements (and only those) and return the region that fits them.
+   * Inline styles are used so pages with a strict Content-Security-Policy work too.
+   * Elements in shadow roots are outlined themselves; elements in frames are shown by
+   * outlining their iframe.
+   * @private
+   * @returns {Promise<Object|null>} Clip in document coordinates, null if nothing is visible
+   */
+  async _highlight(page, selectors) {
+    return page.evaluate((attr, selectors, padding, maxCrop, separator) => {
+      // Tracked in a list, since a document query does not reach into shadow roots
+      for (const element of window.__wcagHighlighted || []) {
+        const original = element.getAttribute(attr);
+        if (original) {
+          element.setAttribute('style', original);
+        } else {
+          element.removeAttribute('style');
+        }
+        element.removeAttribute(attr);
+      }
+      window.__wcagHighlighted = [];
+
+      // Follow "host >>> element" paths into shadow roots, stopping at frames
+      const resolve = (selector) => {
+        let root = document;
+        let element = null;
+        for (const part of selector.split(separator)) {
+          element = root.querySelector(part);
+          if (!element || element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+            return element;
+          }
+          root = element.shadowRoot || element;
+        }
+        return element;
+      };
+
+      let region = null;
+      for (const selector of selectors) {
+        let element;
+        try {
+          element = resolve(selector);
+        } catch {
+          continue;
+        }
+        if (!element || element.hasAttribute(attr)) {
+          continue;
+        }
+        element.setAttribute(attr, element.getAttribute('style') || '');
+        window.__wcagHighlighted.push(element);
+        element.style.setProperty('outline', '3px solid #e00000', 'important');
+        element.style.setProperty('outline-offset', '2px', 'important');
+
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) {
+          continue;
+        }
+        const box = {
+          left: rect.left + window.scrollX - padding,
+          top: rect.top + window.scrollY - padding,
+          right: rect.right + window.scrollX + padding,
+          bottom: rect.bottom + window.scrollY + padding
+        };
+        const union = region ? {
+          left: Math.min(region.left, box.left),
+          top: Math.min(region.top, box.top),
+          right: Math.max(region.right, box.right),
+          bottom: Math.max(region.bottom, box.bottom)
+        } : box;
+
+        // Keep the crop readable: only add elements that fit next to the first one
+        if (!region || (union.right - union.left <= maxCrop.width && union.bottom - union.top <= maxCrop.height)) {
+          region = union;
+        }
+      }
+
+      if (!region) {
+        return null;
+      }
+
+      const root = document.documentElement;
+      const x = Math.max(0, region.left);
+      const y = Math.max(0, region.top);
+      return {
+        x,
+        y,
+        width: Math.min(region.right, Math.max(root.scrollWidth, window.innerWidth), x + maxCrop.width) - x,
+        height: Math.min(region.bottom - y, maxCrop.height)
+      };
+    }, HIGHLIGHT_ATTR, selectors, CROP_PADDING, MAX_CROP, PATH_SEPARATOR);
+  }
+
+  /**
+   * @private
+   */
+  async _captureFullPage(page) {
+    const size = await page.evaluate(() => ({
+      width: Math.max(document.documentElement.scrollWidth, window.innerWidth),
+      height: Math.max(document.documentElement.scrollHeight, window.innerHeight)
+    }));
+
+    if (size.height > this.maxHeight) {
+      logger.debug(`Full-page screenshot cut at ${this.maxHeight}px (page is ${size.height}px)`);
+    }
+
+    return this._screenshot(page, {
+      x: 0,
+      y: 0,
+      width: size.width,
+      height: Math.min(size.height, this.maxHeight)
+    }, 'jpeg');
+  }
+
+  /**
+   * @private
+   */
+  async _screenshot(page, clip, type) {
+    const rounded = {
+      x: Math.floor(clip.x),
+      y: Math.floor(clip.y),
+      width: Math.max(1, Math.ceil(clip.width)),
+      height: Math.max(1, Math.ceil(clip.height))
+    };
+    const data = await page.screenshot({
+      type,
+      ...(type === 'jpeg' ? { quality: 70 } : {}),
+      clip: rounded,
+      captureBeyondViewport: true,
+      encoding: 'base64'
+    });
+
+    return {
+      data,
+      mimeType: `image/${type}`,
+      width: rounded.width,
+      height: rounded.height
+    };
+  }
+}
+
+export default ScreenshotCapture;
@@ -0,0 +1,123 @@
+/**
+ * Sitemap reader for sitemap.xml, sitemap indexes and gzipped sitemaps
+ */
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { gunzipSync } from 'node:zlib';
+import { URL } from 'node:url';
+import config from './config.js';
+import logger from './logger.js';
+
+// The sitemap protocol's size limit (uncompressed). Larger files, and gzip bombs that
+// inflate past it, are skipped so they cannot exhaust the server's memory.
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+export class SitemapReader {
+  constructor() {
+    this.fetched = new Set();
+  }
+
+  /**
+   * Collect page URLs from a site's sitemaps
+   * @param {string} startUrl - Starting URL (used for host filtering and fallback location)
+   * @param {string[]} sitemapUrls - Sitemap URLs declared in robots.txt
+   * @param {number} maxUrls - Maximum page URLs to collect
+   * @param {Function} [accept] - Maps a page URL to the URL to include, or null to drop it
+   * @returns {Promise<string[]>} Same-host page URLs listed in the sitemaps
+   */
+  async discover(startUrl, sitemapUrls = [], maxUrls = 100, accept = (url) => url) {
+    const baseDomain = new URL(startUrl).hostname;
+    const queue = sitemapUrls.length > 0
+      ? [...sitemapUrls]
+      : [new URL('/sitemap.xml', startUrl).toString()];
+    const pages = new Set();
+    this.fetched = new Set();
+
+    logger.info(`Reading sitemaps: ${queue.join(', ')}`);
+
+    while (queue.length > 0 && pages.size < maxUrls && this.fetched.size < config.maxSitemaps) {
+      const sitemapUrl = queue.shift();
+      if (this.fetched.has(sitemapUrl)) {
+        continue;
+      }
+      this.fetched.add(sitemapUrl);
+
+      const { sitemaps, urls } = await this._readSitemap(sitemapUrl);
+      queue.push(...sitemaps);
+
+      for (const url of urls) {
+        try {
+          const pageUrl = new URL(url);
+          if (pageUrl.hostname !== baseDomain) {
+            continue;
+          }
+          pageUrl.hash = '';
+          const acceptedUrl = accept(pageUrl.toString());
+          if (acceptedUrl) {
+            pages.add(acceptedUrl);
+          }
+          if (pages.size >= maxUrls) {
+            break;
+          }
+        } catch {
+          // Skip invalid URLs
+        }
+      }
+    }
+
+    logger.info(`Found ${pages.size} pages in ${this.fetched.size} sitemap(s)`);
+    return [...pages];
+  }
+
+  /**
+   * Fetch and parse a single sitemap or sitemap index
+   * @private
+   */
+  async _readSitemap(sitemapUrl) {
+    try {
+      const response = await axios.get(sitemapUrl, {
+        timeout: config.timeout,
+        headers: {
+          'User-Agent': config.userAgent
+        },
+        responseType: 'arraybuffer',
+        maxContentLength: MAX_SITEMAP_BYTES,
+        maxBodyLength: MAX_SITEMAP_BYTES,
+        validateStatus: (status) => status === 200
+      });
+
+      const xml = this._decode(Buffer.from(response.data));
+      const $ = cheerio.load(xml, { xmlMode: true });
+
+      const sitemaps = $('sitemapindex > sitemap > loc').map((_, el) => $(el).text().trim()).get();
+      const urls = $('urlset > url > loc').map((_, el) => $(el).text().trim()).get();
+
+      logger.debug(`  ${sitemapUrl}: ${urls.length} URLs, ${sitemaps.length} nested sitemaps`);
+      return { sitemaps: sitemaps.filter(Boolean), urls: urls.filter(Boolean) };
+    } catch (error) {
+      logger.warn(`  Failed to read sitemap ${sitemapUrl}: ${error.message}`);
+      return { sitemaps: [], urls: [] };
+    }
+  }
+
+  /**
+   * Decode a sitemap body, gunzipping it if needed
+   * @private
+   */
+  _decode(buffer) {
+    // gzip magic number
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      try {
+        return gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES }).toString('utf-8');
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error(`larger than ${MAX_SITEMAP_BYTES / 1024 / 1024} MB uncompressed, skipped`);
+        }
+        throw error;
+      }
+    }
+    return buffer.toString('utf-8');
+  }
+}
+
+export default SitemapReader;
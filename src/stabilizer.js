@@ -0,0 +1,145 @@
+/**
+ * Page stabilization: wait until a loaded page has finished rendering
+ * instead of sleeping a fixed time
+ */
+import config from './config.js';
+import logger from './logger.js';
+
+// How often the page is checked while waiting
+const POLL_INTERVAL = 100;
+// Longest wait for one evaluation of a ready expression whose promise has not resolved
+const EXPRESSION_TIMEOUT = 1000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Watch DOM mutations so the page can report how long it has been quiet. Runs in the page.
+ * Inline style changes are ignored: script-driven animations (carousels, tickers)
+ * would otherwise keep the page from ever settling.
+ */
+function installObserver() {
+  const state = { last: performance.now() };
+  new MutationObserver((mutations) => {
+    if (mutations.some(mutation => mutation.type !== 'attributes' || mutation.attributeName !== 'style')) {
+      state.last = performance.now();
+    }
+  }).observe(document, { subtree: true, childList: true, characterData: true, attributes: true });
+  window.__wcagStability = state;
+}
+
+/**
+ * Current state of the page. Runs in the page.
+ * @returns {Object|null} { quietFor, title, lang, missing, invalid }, or null after a navigation
+ */
+function readState(selectors) {
+  const state = window.__wcagStability;
+  if (!state) {
+    return null;
+  }
+
+  const missing = [];
+  const invalid = [];
+  for (const selector of selectors) {
+    try {
+      if (!document.querySelector(selector)) {
+        missing.push(selector);
+      }
+    } catch {
+      invalid.push(selector);
+    }
+  }
+
+  return {
+    quietFor: performance.now() - state.last,
+    title: Boolean(document.title.trim()),
+    lang: Boolean(document.documentElement.getAttribute('lang')?.trim()),
+    missing,
+    invalid
+  };
+}
+
+/**
+ * Whether a ready expression is truthy; errors count as not ready
+ */
+async function isExpressionReady(page, expression, timeout) {
+  try {
+    return Boolean(await Promise.race([page.evaluate(expression), delay(timeout).then(() => false)]));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wait until the page is stable: no DOM mutations for the quiet period,
+ * document.title and html[lang] set, and all ready selectors and expressions
+ * resolved, or until the hard upper bound.
+ *
+ * A missing title or lang only holds the wait while the DOM is still changing:
+ * once it has been quiet for four quiet periods, they are taken as really
+ * missing (and reported by pa11y) instead of waiting for the upper bound.
+ *
+ * @param {import('puppeteer').Page} page - Loaded page
+ * @param {Object} [ready] - Extra conditions
+ * @param {string[]} [ready.selectors] - CSS selectors that must match an element
+ * @param {string[]} [ready.expressions] - JavaScript expressions that must be truthy (promises are awaited)
+ * @returns {Promise<Object>} { strategy, time (ms), timedOut, pending }
+ */
+export async function settlePage(page, ready = {}) {
+  const { strategy, quietPeriod, maxWait } = config.stabilization;
+  const selectors = ready.selectors || [];
+  const expressions = ready.expressions || [];
+  const started = Date.now();
+
+  if (strategy === 'fixed') {
+    await delay(config.pa11yConfig.wait);
+    return { strategy, time: Date.now() - started, timedOut: false, pending: [] };
+  }
+
+  let pending = [];
+  await page.evaluate(installObserver).catch(() => {});
+
+  while (Date.now() - started < maxWait) {
+    let state = null;
+    try {
+      state = await page.evaluate(readState, selectors);
+    } catch {
+      // Execution context destroyed by a navigation; checked again below
+    }
+    if (!state) {
+      // A client-side redirect or reload: watch the new document
+      await page.evaluate(installObserver).catch(() => {});
+      pending = ['navigation'];
+      await delay(POLL_INTERVAL);
+      continue;
+    }
+    if (state.invalid.length > 0) {
+      throw new Error(`Invalid ready selector "${state.invalid[0]}"`);
+    }
+
+    const givenUp = state.quietFor >= quietPeriod * 4;
+    pending = [
+      ...(state.quietFor < quietPeriod ? ['DOM mutations'] : []),
+      ...(!state.title && !givenUp ? ['document.title'] : []),
+      ...(!state.lang && !givenUp ? ['html[lang]'] : []),
+      ...state.missing.map(selector => `selector ${selector}`)
+    ];
+    for (const expression of expressions) {
+      if (!await isExpressionReady(page, expression, Math.min(EXPRESSION_TIMEOUT, Math.max(0, maxWait - (Date.now() - started))))) {
+        pending.push(`expression ${expression}`);
+      }
+    }
+
+    if (pending.length === 0) {
+      const time = Date.now() - started;
+      logger.debug(`Page settled after ${time}ms`);
+      return { strategy, time, timedOut: false, pending };
+    }
+    await delay(POLL_INTERVAL);
+  }
+
+  const time = Date.now() - started;
+  logger.warn(`Page did not settle within ${maxWait}ms, analyzing anyway (waiting for: ${pending.join(', ')})`);
+  return { strategy, time, timedOut: true, pending };
+}
+
+export default settlePage;
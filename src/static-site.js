@@ -0,0 +1,278 @@
+/**
+ * Local build output (a directory, an HTML file or a glob of HTML files) served from an
+ * ephemeral static server on 127.0.0.1, so a site can be analyzed before it is deployed.
+ * The server runs in this process, next to the browser, so no Docker host translation is
+ * needed. Reports name pages by their file paths instead of the server's URLs.
+ *
+ * Paths come from MCP clients, so they are confined to BUILD_ROOT: nothing outside it is
+ * listed or served, not even through symbolic links.
+ */
+import { readdir, realpath, stat } from 'node:fs/promises';
+import path from 'node:path';
+import express from 'express';
+import config from './config.js';
+import logger from './logger.js';
+import UrlFilter from './url-filter.js';
+
+const HTML_FILE = /\.html?$/i;
+
+// Never walked or analyzed: dependencies and hidden files and directories (.git and the like)
+const IGNORED_SEGMENT = /^(\..+|node_modules)$/;
+
+// Directory entries read before giving up on a folder that is not a build output
+const MAX_ENTRIES = 20000;
+
+/**
+ * Whether a path is a directory or the path itself, or lies below it
+ * @param {string} directory - Absolute directory
+ * @param {string} target - Absolute path
+ * @returns {boolean} True if target is inside directory
+ */
+function isInside(directory, target) {
+  const relative = path.relative(directory, target);
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+export class StaticSite {
+  /**
+   * @param {string} target - Directory, HTML file or glob such as "dist/**\/*.html"
+   *   (`*` within a path segment, `**` across segments, as in crawl include patterns),
+   *   relative to BUILD_ROOT or absolute within it
+   */
+  constructor(target) {
+    this.target = target;
+    this.root = null;
+    this.displayRoot = null;
+    this.files = [];
+    this.server = null;
+    this.origin = null;
+  }
+
+  /**
+   * Find the HTML files and start serving their directory on a free port
+   */
+  async start() {
+    const base = await realpath(config.buildRoot).catch(() => {
+      throw new Error(`BUILD_ROOT ${config.buildRoot} does not exist`);
+    });
+    const resolve = (relative) => path.resolve(base, relative);
+    const outside = () => new Error(`Path ${this.target} is outside BUILD_ROOT (${base})`);
+    const segments = this.target.replace(/[\\/]+$/, '').split(/[\\/]/);
+    const wildcard = segments.findIndex(segment => segment.includes('*'));
+    let pattern = null;
+
+    if (wildcard >= 0) {
+      this.displayRoot = segments.slice(0, wildcard).join('/') || (path.isAbsolute(this.target) ? '/' : '.');
+      const rest = segments.slice(wildcard).join('/');
+      pattern = rest.startsWith('**') ? rest : `/${rest}`;
+    } else {
+      if (!isInside(base, resolve(this.target))) {
+        throw outside();
+      }
+      const info = await stat(resolve(this.target)).catch(() => null);
+      if (!info) {
+        throw new Error(`Path not found: ${this.target}`);
+      }
+      if (info.isDirectory()) {
+        this.displayRoot = segments.join('/');
+      } else {
+        this.displayRoot = path.dirname(this.target);
+        pattern = `/${path.basename(this.target)}`;
+      }
+    }
+
+    if (!isInside(base, resolve(this.displayRoot))) {
+      throw outside();
+    }
+    this.root = await realpath(resolve(this.displayRoot)).catch(() => null);
+    if (!this.root) {
+      throw new Error(`Path not found: ${this.target}`);
+    }
+    // Checked again after following symbolic links
+    if (!isInside(base, this.root)) {
+      throw outside();
+    }
+
+    // Matched like crawl include patterns, against the path the file is served at
+    const filter = pattern ? new UrlFilter({ include: [pattern], stripParams: [] }) : null;
+    this.files = (await this._findHtmlFiles())
+      .filter(file => !filter || filter.matches(new URL(file, 'http://localhost/').href))
+      .sort();
+    if (this.files.length === 0) {
+      throw new Error(`No HTML files found in ${this.target}`);
+    }
+
+    const app = express();
+    // Symbolic links inside the folder must not lead out of it
+    app.use(async (request, response, next) => {
+      let real;
+      try {
+        real = await realpath(path.join(this.root, decodeURIComponent(request.path)));
+      } catch {
+        return next();
+      }
+      return isInside(this.root, real) ? next() : response.sendStatus(404);
+    });
+    app.use(express.static(this.root, { dotfiles: 'ignore', etag: false }));
+    await new Promise((resolve, reject) => {
+      this.server = app.listen(0, '127.0.0.1', resolve).on('error', reject);
+    });
+    this.origin = `http://127.0.0.1:${this.server.address().port}`;
+    logger.info(`Serving ${this.files.length} HTML files from ${this.root} at ${this.origin}`);
+  }
+
+  /**
+   * List the HTML files below the root, not descending into ignored directories or
+   * symbolic links
+   * @private
+   * @returns {Promise<string[]>} Paths relative to the root, with forward slashes
+   */
+  async _findHtmlFiles() {
+    const files = [];
+    const pending = [''];
+    let seen = 0;
+
+    while (pending.length > 0) {
+      const directory = pending.shift();
+      let entries;
+      try {
+        entries = await readdir(path.join(this.root, directory), { withFileTypes: true });
+      } catch (error) {
+        throw new Error(`Cannot read ${path.posix.join(this.displayRoot, directory)}: ${error.message}`);
+      }
+      seen += entries.length;
+      if (seen > MAX_ENTRIES) {
+        throw new Error(`${this.target} holds more than ${MAX_ENTRIES} files; point path at the build output folder`);
+      }
+      for (const entry of entries.filter(candidate => !IGNORED_SEGMENT.test(candidate.name))) {
+        const relative = directory ? `${directory}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          pending.push(relative);
+        } else if (entry.isFile() && HTML_FILE.test(entry.name)) {
+          files.push(relative);
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Where the crawl starts: index.html at the root if it is included, else the first file
+   * @returns {string} URL
+   */
+  get startUrl() {
+    return this.urlOf(this.files.includes('index.html') ? 'index.html' : this.files[0]);
+  }
+
+  /**
+   * Served URL of a file
+   * @param {string} file - Path relative to the root, with forward slashes
+   * @returns {string} URL
+   */
+  urlOf(file) {
+    return new URL(file.split('/').map(encodeURIComponent).join('/'), `${this.origin}/`).href;
+  }
+
+  /**
+   * HTML file a URL serves, following directory index pages (/about/ -> about/index.html)
+   * @param {string} url - URL on this server
+   * @returns {string|null} Path relative to the root, or null if it is not one of the files
+   */
+  fileOf(url) {
+    let file;
+    try {
+      const urlObj = new URL(url);
+      if (urlObj.origin !== this.origin) {
+        return null;
+      }
+      file = decodeURIComponent(urlObj.pathname).replace(/^\/+/, '');
+    } catch {
+      return null;
+    }
+    if (file === '' || file.endsWith('/')) {
+      file += 'index.html';
+    } else if (!HTML_FILE.test(file)) {
+      file += '/index.html';
+    }
+    return this.files.includes(file) ? file : null;
+  }
+
+  /**
+   * Pages to analyze: the crawled files in crawl order, then (optionally) the files no link reached
+   * @param {string[]} discovered - URLs found by the crawl
+   * @param {number} maxPages - Maximum pages
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.unlinked=true] - Add files the crawl did not reach
+   * @returns {string[]} URLs, one per file (as crawled, so they match the crawl's clusters)
+   */
+  pages(discovered, maxPages, options = {}) {
+    const { unlinked = true } = options;
+    const urls = new Map();
+    for (const url of discovered) {
+      const file = this.fileOf(url);
+      if (file && !urls.has(file)) {
+        urls.set(file, url);
+      }
+    }
+    if (unlinked) {
+      const missed = this.files.filter(file => !urls.has(file));
+      if (missed.length > 0 && urls.size < maxPages) {
+        logger.info(`Adding ${Math.min(missed.length, maxPages - urls.size)} HTML files no link leads to`);
+      }
+      for (const file of missed) {
+        urls.set(file, this.urlOf(file));
+      }
+    }
+    return [...urls.values()].slice(0, maxPages);
+  }
+
+  /**
+   * Replace the server's URLs with file paths in a text
+   * @param {string} text - Text that may contain URLs on this server
+   * @returns {string} Text with file paths
+   */
+  relabel(text) {
+    return this.origin && text ? text.split(`${this.origin}/`).join(`${this.displayRoot}/`) : text;
+  }
+
+  /**
+   * Name pages by file path in a website analysis, for the reports
+   * @param {Object} analysis - Result of WCAGAnalyzer.analyzeWebsite (changed in place)
+   */
+  labelAnalysis(analysis) {
+    const label = (url) => {
+      const file = this.fileOf(url);
+      return file ? `${this.displayRoot}/${file}` : this.relabel(url);
+    };
+
+    analysis.baseUrl = this.target;
+    for (const page of analysis.pageAnalyses) {
+      page.url = label(page.url);
+      for (const frame of page.untestedFrames || []) {
+        frame.url = this.relabel(frame.url);
+      }
+    }
+    for (const failure of analysis.failedPages || []) {
+      failure.url = label(failure.url);
+      failure.error = this.relabel(failure.error);
+    }
+    for (const skipped of analysis.skippedPages || []) {
+      skipped.url = label(skipped.url);
+    }
+  }
+
+  /**
+   * Stop the server
+   */
+  async close() {
+    if (this.server) {
+      // Keep-alive connections from the browser would hold the server open
+      this.server.closeAllConnections();
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+  }
+}
+
+export default StaticSite;
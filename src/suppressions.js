@@ -0,0 +1,169 @@
+/**
+ * Issue suppressions: known false positives and accepted findings that are
+ * left out of counts and checklist status, but still listed in reports
+ */
+import { readFile } from 'node:fs/promises';
+import config from './config.js';
+import logger from './logger.js';
+import UrlFilter from './url-filter.js';
+
+/**
+ * Compile a code or selector pattern (with optional * wildcard)
+ * @param {string} pattern - Exact value or pattern such as "WCAG2AA.*.2_4_2.*"
+ * @returns {RegExp} Regular expression matching the whole value
+ */
+function compileWildcard(pattern) {
+  const source = pattern
+    .split('*')
+    .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * End of the day an expiry date refers to; a date without time lasts the whole day (UTC)
+ * @param {string} expires - ISO date or date-time
+ * @returns {Date} Moment the suppression stops applying
+ */
+function expiryOf(expires) {
+  const date = new Date(expires);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(expires)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+export class SuppressionList {
+  /**
+   * @param {Object[]} rules - Suppression rules:
+   *   { code?, selector?, url?, expires?, justification }
+   *   `code` and `selector` are exact values or `*` wildcard patterns; `code` also
+   *   matches the codes of merged runner issues (e.g. axe rule ids). `url` uses the
+   *   crawl include/exclude syntax (`/blog/**`, full URLs with "://", `regex:`).
+   *   A rule needs a justification and at least one of code, selector and url.
+   * @param {Date} [now] - Reference time for expiry dates
+   */
+  constructor(rules = [], now = new Date()) {
+    this.rules = [];
+    this.expired = [];
+
+    rules.forEach((rule, i) => {
+      const label = `Suppression ${i + 1}`;
+      if (!rule || typeof rule !== 'object') {
+        throw new Error(`${label} must be an object`);
+      }
+      if (!rule.code && !rule.selector && !rule.url) {
+        throw new Error(`${label} needs a code, selector or url; it would suppress every issue`);
+      }
+      if (!rule.justification?.trim()) {
+        throw new Error(`${label} needs a justification`);
+      }
+      if (rule.expires && isNaN(expiryOf(rule.expires))) {
+        throw new Error(`${label} has an invalid expiry date "${rule.expires}" (use YYYY-MM-DD)`);
+      }
+
+      const entry = {
+        code: rule.code || null,
+        selector: rule.selector || null,
+        url: rule.url || null,
+        expires: rule.expires || null,
+        justification: rule.justification.trim()
+      };
+      if (entry.expires && expiryOf(entry.expires) < now) {
+        logger.warn(`${label} expired on ${entry.expires} and no longer applies: ${entry.justification}`);
+        this.expired.push(entry);
+        return;
+      }
+
+      this.rules.push({
+        ...entry,
+        match: {
+          code: entry.code ? compileWildcard(entry.code) : null,
+          selector: entry.selector ? compileWildcard(entry.selector) : null,
+          url: entry.url ? new UrlFilter({ include: [entry.url], stripParams: [] }) : null
+        }
+      });
+    });
+  }
+
+  /**
+   * Load rules from SUPPRESSIONS_FILE and add rules given with the request
+   * @param {Object[]} [rules] - Additional rules
+   * @returns {Promise<SuppressionList>} Suppression list
+   */
+  static async load(rules = []) {
+    const fileRules = [];
+    if (config.suppressionsFile) {
+      let data;
+      try {
+        data = JSON.parse(await readFile(config.suppressionsFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot read SUPPRESSIONS_FILE ${config.suppressionsFile}: ${error.message}`);
+      }
+      // A plain list, or { "suppressions": [...] } so the file can carry other metadata
+      const list = Array.isArray(data) ? data : data?.suppressions;
+      if (!Array.isArray(list)) {
+        throw new Error(`SUPPRESSIONS_FILE ${config.suppressionsFile} must contain a list of suppressions`);
+      }
+      fileRules.push(...list);
+    }
+
+    const list = new SuppressionList([...fileRules, ...rules]);
+    if (list.rules.length > 0) {
+      logger.info(`Suppressions: ${list.rules.length} active, ${list.expired.length} expired`);
+    }
+    return list;
+  }
+
+  /**
+   * Find the first rule that suppresses an issue
+   * @param {Object} issue - pa11y issue (merged, not grouped)
+   * @param {string} url - Page the issue was found on
+   * @returns {Object|null} Matching rule
+   */
+  match(issue, url) {
+    const codes = issue.codes || [issue.code];
+    return this.rules.find(rule =>
+      (!rule.match.code || codes.some(code => rule.match.code.test(code))) &&
+      (!rule.match.selector || rule.match.selector.test(issue.selector || '')) &&
+      (!rule.match.url || this._matchesUrl(rule.match.url, url))
+    ) || null;
+  }
+
+  /**
+   * Split a page's issues into kept and suppressed issues
+   * @param {Object[]} issues - pa11y issues (merged, not grouped)
+   * @param {string} url - Page the issues were found on
+   * @returns {Object} { kept, suppressed }; suppressed issues carry their rule as `suppression`
+   */
+  apply(issues, url) {
+    const kept = [];
+    const suppressed = [];
+
+    for (const issue of issues) {
+      const rule = this.match(issue, url);
+      if (rule) {
+        const { code, selector, url: pattern, expires, justification } = rule;
+        suppressed.push({ ...issue, suppression: { code, selector, url: pattern, expires, justification } });
+      } else {
+        kept.push(issue);
+      }
+    }
+
+    return { kept, suppressed };
+  }
+
+  /**
+   * @private
+   */
+  _matchesUrl(filter, url) {
+    try {
+      return filter.matches(url);
+    } catch {
+      // Not an absolute URL (e.g. an HTML snippet)
+      return false;
+    }
+  }
+}
+
+export default SuppressionList;
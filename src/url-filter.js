@@ -0,0 +1,148 @@
+/**
+ * URL normalization and include/exclude filtering for crawling
+ */
+import { URL } from 'node:url';
+
+// Tracking parameters removed unless strip/keep lists are given
+const DEFAULT_STRIP_PARAMS = ['utm_*', 'fbclid', 'gclid', 'msclkid', 'mc_cid', 'mc_eid'];
+
+export class UrlFilter {
+  /**
+   * @param {Object} [options] - Filter options
+   * @param {string[]} [options.include] - Only crawl URLs matching one of these patterns
+   * @param {string[]} [options.exclude] - Never crawl URLs matching one of these patterns
+   * @param {string[]} [options.stripParams] - Query parameters to remove (supports * wildcard)
+   * @param {string[]} [options.keepParams] - Query parameters to keep; all others are removed
+   * @param {string} [options.trailingSlash='keep'] - 'keep', 'strip' or 'add'
+   * @param {boolean} [options.ignoreCase=false] - Lowercase URL paths
+   *
+   * Patterns are globs (`*` within a path segment, `**` across segments) matched against
+   * path and query (e.g. `/blog/**`, `**?page=*`), or against the full URL if the pattern
+   * contains "://". Patterns prefixed with `regex:` are regular expressions tested
+   * against the full URL (e.g. `regex:[?&]page=\d+`).
+   */
+  constructor(options = {}) {
+    const {
+      include = [],
+      exclude = [],
+      stripParams = DEFAULT_STRIP_PARAMS,
+      keepParams = null,
+      trailingSlash = 'keep',
+      ignoreCase = false
+    } = options;
+
+    this.trailingSlash = trailingSlash;
+    this.ignoreCase = ignoreCase;
+    this.include = include.map(pattern => this._compilePattern(pattern));
+    this.exclude = exclude.map(pattern => this._compilePattern(pattern));
+    this.stripParams = stripParams.map(name => this._compileParam(name));
+    this.keepParams = keepParams ? keepParams.map(name => this._compileParam(name)) : null;
+  }
+
+  /**
+   * Normalize a URL so variants of the same page compare equal
+   * @param {string} url - Absolute URL
+   * @returns {string} Normalized URL
+   */
+  normalize(url) {
+    const urlObj = new URL(url);
+
+    for (const key of [...new Set(urlObj.searchParams.keys())]) {
+      if (!this._keepParam(key)) {
+        urlObj.searchParams.delete(key);
+      }
+    }
+    if ([...urlObj.searchParams.keys()].length > 0) {
+      urlObj.searchParams.sort();
+    }
+
+    if (this.ignoreCase) {
+      urlObj.pathname = urlObj.pathname.toLowerCase();
+    }
+
+    if (this.trailingSlash === 'strip' && urlObj.pathname.length > 1 && urlObj.pathname.endsWith('/')) {
+      urlObj.pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+    } else if (this.trailingSlash === 'add' && !urlObj.pathname.endsWith('/') &&
+               !/\.[a-z0-9]+$/i.test(urlObj.pathname)) {
+      // Only directory-like paths, not files such as /report.pdf
+      urlObj.pathname += '/';
+    }
+
+    return urlObj.toString();
+  }
+
+  /**
+   * Check a URL against the include/exclude patterns
+   * @param {string} url - Absolute URL
+   * @returns {boolean} True if the URL should be crawled
+   */
+  matches(url) {
+    const urlObj = new URL(url);
+    const target = {
+      path: urlObj.pathname + urlObj.search,
+      full: urlObj.toString()
+    };
+
+    if (this.exclude.some(pattern => this._test(pattern, target))) {
+      return false;
+    }
+    if (this.include.length > 0) {
+      return this.include.some(pattern => this._test(pattern, target));
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _test(pattern, target) {
+    return pattern.regex.test(pattern.fullUrl ? target.full : target.path);
+  }
+
+  /**
+   * Compile a glob or regex: pattern
+   * @private
+   */
+  _compilePattern(pattern) {
+    if (pattern.startsWith('regex:')) {
+      return { regex: new RegExp(pattern.slice(6), this.ignoreCase ? 'i' : ''), fullUrl: true };
+    }
+
+    const source = pattern
+      .split('**')
+      .map(part => part
+        .split('*')
+        .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^/]*'))
+      .join('.*');
+
+    return {
+      regex: new RegExp(`^${source}$`, this.ignoreCase ? 'i' : ''),
+      fullUrl: pattern.includes('://')
+    };
+  }
+
+  /**
+   * Compile a query parameter name (with optional * wildcard)
+   * @private
+   */
+  _compileParam(name) {
+    const source = name
+      .split('*')
+      .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * @private
+   */
+  _keepParam(key) {
+    if (this.keepParams) {
+      return this.keepParams.some(regex => regex.test(key));
+    }
+    return !this.stripParams.some(regex => regex.test(key));
+  }
+}
+
+export default UrlFilter;
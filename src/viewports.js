@@ -0,0 +1,62 @@
+/**
+ * Viewport profiles for multi-viewport audits
+ */
+import config from './config.js';
+
+// Named profiles; desktop follows VIEWPORT_WIDTH/VIEWPORT_HEIGHT
+export const VIEWPORT_PRESETS = {
+  mobile: { width: 320, height: 640, isMobile: true, hasTouch: true },
+  tablet: { width: 768, height: 1024, isMobile: true, hasTouch: true },
+  desktop: { ...config.pa11yConfig.chromeLaunchConfig.defaultViewport, isMobile: false, hasTouch: false }
+};
+
+/**
+ * Resolve viewport profiles from preset names or custom sizes
+ * @param {Array<string|Object>} viewports - Preset names ('mobile', 'tablet', 'desktop')
+ *   or objects { name?, width, height?, mobile? }
+ * @returns {Object[]} Profiles { name, width, height, isMobile, hasTouch }
+ */
+export function normalizeViewports(viewports) {
+  const profiles = [];
+
+  for (const viewport of viewports) {
+    let profile;
+    if (typeof viewport === 'string') {
+      const preset = VIEWPORT_PRESETS[viewport];
+      if (!preset) {
+        throw new Error(`Unknown viewport "${viewport}" (use ${Object.keys(VIEWPORT_PRESETS).join(', ')} or { width, height })`);
+      }
+      profile = { name: viewport, ...preset };
+    } else {
+      const width = parseInt(viewport?.width);
+      if (!width || width < 1) {
+        throw new Error(`Viewport ${JSON.stringify(viewport)} needs a positive width`);
+      }
+      const height = parseInt(viewport.height) || Math.round(width * (width < 768 ? 2 : 0.75));
+      const isMobile = viewport.mobile ?? width < 1024;
+      profile = {
+        name: viewport.name || `${width}x${height}`,
+        width,
+        height,
+        isMobile,
+        hasTouch: isMobile
+      };
+    }
+
+    if (!profiles.some(existing => existing.name === profile.name)) {
+      profiles.push(profile);
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Puppeteer viewport for a profile
+ * @param {Object} profile - Viewport profile
+ * @returns {Object} { width, height, isMobile, hasTouch }
+ */
+export function toPuppeteerViewport(profile) {
+  const { width, height, isMobile, hasTouch } = profile;
+  return { width, height, isMobile, hasTouch };
+}